@@ -0,0 +1,38 @@
+-- ==========================================
+-- 答案快取 (Answer Cache)
+-- answerCache.js 的長期快取：相同問題 + 相同用戶背景 24 小時內直接回覆，不再呼叫 Gemini
+-- 快取鍵已包含 Prompt 版本與 RAG 知識庫版本，同步新文件後舊答案不會再被讀到
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS answer_cache (
+    cache_key TEXT PRIMARY KEY,           -- answer_ + SHA-256 (問題 + 用戶背景指紋 + Prompt 版本 + RAG 版本)
+    normalized_query TEXT,                -- 正規化後的問題 (分析熱門問題用)
+    response JSONB NOT NULL,              -- callGeminiJSON 的原始答案 (校正前)
+    prompt_version TEXT,                  -- 產生答案時的 Prompt 版本
+    rag_version TEXT,                     -- 產生答案時的 RAG 知識庫版本
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    expires_at TIMESTAMPTZ NOT NULL       -- 過期時間 (預設 24 小時)
+);
+
+-- ==========================================
+-- 索引設計
+-- ==========================================
+
+-- 清除過期資料用
+CREATE INDEX IF NOT EXISTS idx_answer_cache_expires ON answer_cache(expires_at);
+
+-- ==========================================
+-- 常用查詢範例
+-- ==========================================
+
+-- 清除過期的快取 (可設定 pg_cron 每天執行)
+-- DELETE FROM answer_cache WHERE expires_at < NOW();
+
+-- 目前最常被快取的問題
+-- SELECT normalized_query, COUNT(*) AS "不同用戶背景數"
+-- FROM answer_cache
+-- WHERE expires_at > NOW()
+-- GROUP BY normalized_query
+-- ORDER BY 2 DESC
+-- LIMIT 20;
@@ -0,0 +1,24 @@
+-- ==========================================
+-- 敏感詞庫 (Blocklist Words)
+-- blocklist.js 的可編輯詞庫，與程式內建詞合併使用
+-- 修改後請在 LINE 輸入管理員指令 /blocklist reload (或等快取 10 分鐘過期)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS blocklist_words (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    word TEXT NOT NULL UNIQUE,            -- 詞 (比對時會自動正規化，不用另外寫全形/注音/加符號的版本)
+    kind TEXT NOT NULL DEFAULT 'block',   -- block = 敏感詞 / allow = 白名單 (避免誤判，如「三小時」)
+    enabled BOOLEAN DEFAULT TRUE,         -- 停用時不刪除，方便日後恢復
+    note TEXT,                            -- 備註 (為什麼加入)
+
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- 範例資料
+-- ==========================================
+
+-- INSERT INTO blocklist_words (word, kind, note) VALUES
+--   ('低能', 'block', '人身攻擊'),
+--   ('幹細胞', 'allow', '醫療用語，避免誤判');
@@ -9,26 +9,60 @@ CREATE TABLE IF NOT EXISTS chat_logs (
     -- ========== 用戶資訊 ==========
     line_user_id TEXT NOT NULL,           -- LINE User ID (U開頭的一串ID)
     line_display_name TEXT,               -- LINE 顯示名稱 (如：王小明)
+    session_id TEXT,                      -- 對話 Session ID (同一段多輪對話相同，「重新開始」後更換)
     
     -- ========== 對話內容 ==========
-    user_message TEXT NOT NULL,           -- 用戶說的話
+    user_message TEXT NOT NULL,           -- 用戶說的話 (圖片/位置/貼圖為轉換後的查詢)
+    message_kind TEXT DEFAULT 'text',     -- 訊息類型: text / image / location / sticker / follow / postback
     bot_response TEXT,                    -- 機器人的回覆
-    response_type TEXT,                   -- 回覆類型: CHITCHAT / QUERY / ABUSE / SPAM / ERROR
+    response_type TEXT,                   -- 回覆類型: CHITCHAT / QUERY / ABUSE / SPAM / ERROR / COMMAND / FEEDBACK / REJECTED / MUTED
     
     -- ========== 分析欄位 ==========
-    filter_result TEXT,                   -- Lite Filter 結果: SAFE / ABUSE / SPAM
+    filter_result TEXT,                   -- 過濾結果: SAFE / ABUSE / SPAM / BLOCKLIST / PROMPT_INJECTION / AI_ABUSE / MUTED / FILTER_UNAVAILABLE / RATE_LIMITED / MISSING_SIGNATURE / INVALID_SIGNATURE
     ai_model TEXT,                        -- 使用的 AI 模型: gemini-2.5-flash 等
-    api_source TEXT,                      -- API 來源: FREE / PAID
+    api_source TEXT,                      -- API 來源: FREE / PAID / CACHE (答案快取命中)
+    prompt_version TEXT,                  -- 人設 Prompt 版本 (prompt_templates.version，A/B 測試用)
+    cache_hit BOOLEAN DEFAULT FALSE,      -- 答案是否來自 answer_cache (不計入使用次數，沒有 AI 成本)
     response_time_ms INTEGER,             -- AI 回應時間(毫秒)
+
+    -- ========== 用量與成本 ==========
+    prompt_tokens INTEGER,                -- 主要 AI 呼叫的輸入 tokens (JSON 重問會累加)
+    output_tokens INTEGER,                -- 主要 AI 呼叫的輸出 tokens (含思考 tokens)
+    total_tokens INTEGER,                 -- 主要 AI 呼叫的總 tokens
+    rag_hit BOOLEAN,                      -- 回覆是否引用 RAG 文件 (NULL = 沒有呼叫 AI)
+    filter_model TEXT,                    -- Lite Filter 使用的模型
+    filter_api_source TEXT,               -- Lite Filter 使用的 Key: FREE / PAID
+    filter_tokens INTEGER,                -- Lite Filter 的總 tokens
+    estimated_cost_usd NUMERIC(12, 6),    -- 本則訊息所有 AI 呼叫的估算成本 (美元，FREE Key 為 0)
     
     -- ========== 額外資訊 (JSONB) ==========
     user_context JSONB,                   -- 用戶持卡設定快照 (myWallet, payMap 等)
-    recommendations JSONB,                -- AI 推薦的卡片資料
+    recommendations JSONB,                -- AI 推薦的卡片資料 (每張卡的 citations: [{ name, url, snippet }] 為 RAG 引用文件)
+    parsed_query JSONB,                   -- 規則解析結果: { amount, amountExplicit, merchant, category, channel }
     
     -- ========== 時間戳記 ==========
     created_at TIMESTAMPTZ DEFAULT NOW()  -- 紀錄時間 (台北時區自動轉換)
 );
 
+-- ==========================================
+-- 既有資料表升級 (Migration)
+-- 已經建立過 chat_logs 的環境，請執行以下語法補上新欄位
+-- ==========================================
+
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS message_kind TEXT DEFAULT 'text';
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS session_id TEXT;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS parsed_query JSONB;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS prompt_tokens INTEGER;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS output_tokens INTEGER;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS total_tokens INTEGER;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS rag_hit BOOLEAN;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS filter_model TEXT;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS filter_api_source TEXT;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS filter_tokens INTEGER;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS estimated_cost_usd NUMERIC(12, 6);
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS prompt_version TEXT;
+ALTER TABLE chat_logs ADD COLUMN IF NOT EXISTS cache_hit BOOLEAN DEFAULT FALSE;
+
 -- ==========================================
 -- 索引設計 (加速常用查詢)
 -- ==========================================
@@ -45,6 +79,37 @@ CREATE INDEX IF NOT EXISTS idx_chat_logs_type ON chat_logs(response_type);
 -- 依過濾結果篩選 (找出被攔截的訊息)
 CREATE INDEX IF NOT EXISTS idx_chat_logs_filter ON chat_logs(filter_result);
 
+-- 依對話 Session 串出完整多輪對話
+CREATE INDEX IF NOT EXISTS idx_chat_logs_session ON chat_logs(session_id);
+
+-- ==========================================
+-- 統計函式 (管理員指令 /stats today 使用，見 admin.js)
+-- PostgREST 預設一次最多回傳 1000 筆，直接撈明細在忙碌的日子會少算，所以在資料庫端彙總
+-- 呼叫方式：POST /rest/v1/rpc/chat_logs_stats_since  { "since": "2025-01-01T00:00:00+08:00" }
+-- ==========================================
+
+CREATE OR REPLACE FUNCTION chat_logs_stats_since(since TIMESTAMPTZ)
+RETURNS JSONB
+LANGUAGE SQL STABLE
+AS $$
+    SELECT jsonb_build_object(
+        'total', COUNT(*),
+        'users', COUNT(DISTINCT line_user_id),
+        'avg_response_ms', COALESCE(ROUND(AVG(NULLIF(response_time_ms, 0))), 0),
+        'by_type', COALESCE((
+            SELECT jsonb_object_agg(t.response_type, t.cnt)
+            FROM (
+                SELECT COALESCE(response_type, 'UNKNOWN') AS response_type, COUNT(*) AS cnt
+                FROM chat_logs
+                WHERE created_at >= since
+                GROUP BY 1
+            ) t
+        ), '{}'::jsonb)
+    )
+    FROM chat_logs
+    WHERE created_at >= since;
+$$;
+
 -- ==========================================
 -- 常用查詢範例
 -- ==========================================
@@ -69,9 +134,66 @@ CREATE INDEX IF NOT EXISTS idx_chat_logs_filter ON chat_logs(filter_result);
 -- 查看被攔截的惡意訊息
 -- SELECT line_display_name, user_message, filter_result, created_at
 -- FROM chat_logs 
--- WHERE filter_result IN ('ABUSE', 'SPAM')
+-- WHERE filter_result IN ('ABUSE', 'SPAM', 'BLOCKLIST', 'PROMPT_INJECTION', 'AI_ABUSE', 'MUTED')
+-- ORDER BY created_at DESC;
+
+-- 查看未通過 LINE 簽章驗證的請求 (可能是有人冒充 LINE 呼叫 webhook)
+-- SELECT line_user_id, user_message, filter_result, created_at
+-- FROM chat_logs
+-- WHERE filter_result IN ('MISSING_SIGNATURE', 'INVALID_SIGNATURE')
 -- ORDER BY created_at DESC;
 
+-- 各訊息類型使用量 (文字 / 收據圖片 / 位置 / 貼圖)
+-- SELECT message_kind, COUNT(*)
+-- FROM chat_logs
+-- GROUP BY message_kind;
+
+-- 每日 AI 用量與估算成本 (依 Key 來源)
+-- SELECT
+--   DATE(created_at AT TIME ZONE 'Asia/Taipei') AS "日期",
+--   api_source AS "來源",
+--   COUNT(*) AS "次數",
+--   SUM(total_tokens) AS "主要 tokens",
+--   SUM(filter_tokens) AS "過濾 tokens",
+--   SUM(estimated_cost_usd) AS "估算成本(USD)",
+--   ROUND(AVG(CASE WHEN rag_hit THEN 1 ELSE 0 END) * 100, 1) AS "RAG 命中率(%)"
+-- FROM chat_logs
+-- WHERE ai_model IS NOT NULL
+-- GROUP BY 1, 2
+-- ORDER BY 1 DESC;
+
+-- 答案快取命中率 (只看有回答的 QUERY / CHITCHAT)
+-- SELECT
+--   DATE(created_at AT TIME ZONE 'Asia/Taipei') AS "日期",
+--   COUNT(*) AS "次數",
+--   ROUND(AVG(CASE WHEN cache_hit THEN 1 ELSE 0 END) * 100, 1) AS "命中率(%)"
+-- FROM chat_logs
+-- WHERE response_type IN ('QUERY', 'CHITCHAT')
+-- GROUP BY 1
+-- ORDER BY 1 DESC;
+
+-- 比較各 Prompt 版本的表現 (A/B 測試)
+-- SELECT
+--   prompt_version AS "版本",
+--   COUNT(*) AS "次數",
+--   ROUND(AVG(response_time_ms)) AS "平均回應時間(ms)",
+--   ROUND(AVG(total_tokens)) AS "平均 tokens",
+--   ROUND(AVG(CASE WHEN response_type = 'ERROR' THEN 1 ELSE 0 END) * 100, 1) AS "錯誤率(%)"
+-- FROM chat_logs
+-- WHERE prompt_version IS NOT NULL
+-- GROUP BY prompt_version;
+
+-- 最常被引用的 RAG 文件
+-- SELECT
+--   c ->> 'name' AS "文件",
+--   COUNT(*) AS "引用次數"
+-- FROM chat_logs,
+--   jsonb_each(recommendations) AS r(slot, card),
+--   jsonb_array_elements(card -> 'citations') AS c
+-- WHERE recommendations IS NOT NULL AND card ? 'citations'
+-- GROUP BY 1
+-- ORDER BY 2 DESC;
+
 -- 查詢特定用戶的對話歷史
 -- SELECT * FROM chat_logs 
 -- WHERE line_user_id = 'U1234567890abcdef'
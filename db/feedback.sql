@@ -0,0 +1,40 @@
+-- ==========================================
+-- 意見回饋表 (Feedback)
+-- 用戶輸入「意見回饋」後的下一則訊息
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS feedback (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- ========== 用戶資訊 ==========
+    line_user_id TEXT NOT NULL,           -- LINE User ID (U開頭的一串ID)
+    line_display_name TEXT,               -- LINE 顯示名稱
+    session_id TEXT,                      -- 對話 Session ID (可對照 chat_logs 看前後文)
+
+    -- ========== 回饋內容 ==========
+    content TEXT NOT NULL,                -- 用戶的建議
+    status TEXT DEFAULT 'new',            -- 處理狀態: new / read / done
+
+    -- ========== 時間戳記 ==========
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- 索引設計 (加速常用查詢)
+-- ==========================================
+
+-- 依時間排序 (後台列表用)
+CREATE INDEX IF NOT EXISTS idx_feedback_time ON feedback(created_at DESC);
+
+-- 依處理狀態篩選
+CREATE INDEX IF NOT EXISTS idx_feedback_status ON feedback(status);
+
+-- ==========================================
+-- 常用查詢範例
+-- ==========================================
+
+-- 查看尚未處理的回饋
+-- SELECT line_display_name, content, created_at
+-- FROM feedback
+-- WHERE status = 'new'
+-- ORDER BY created_at DESC;
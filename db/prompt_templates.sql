@@ -0,0 +1,30 @@
+-- ==========================================
+-- Prompt 範本 (Prompt Templates)
+-- promptTemplates.js 的可編輯範本，與程式內建的 v1 合併使用
+-- 同一個 name 的多個版本依 weight 分配用戶 (A/B 測試)，版本記錄在 chat_logs.prompt_version
+-- 修改後請在 LINE 輸入管理員指令 /prompts reload (或等快取 10 分鐘過期)
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS prompt_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    name TEXT NOT NULL,                   -- 範本名稱 (目前只有 cardway_persona)
+    version TEXT NOT NULL,                -- 版本 (v1 為程式內建，可用同版本列調整權重)
+    content TEXT,                         -- 範本內容，可用 {{market_period}} {{user_input_guard}}；留空 = 沿用內建內容
+    weight INTEGER NOT NULL DEFAULT 0,    -- 分配權重 (0 = 不分配新用戶)
+    enabled BOOLEAN DEFAULT TRUE,         -- 停用時不刪除，方便日後恢復
+    note TEXT,                            -- 備註 (這個版本改了什麼)
+
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+
+    UNIQUE (name, version)
+);
+
+-- ==========================================
+-- 範例資料
+-- ==========================================
+
+-- 內建 v1 與新版 v2 各分配一半用戶
+-- INSERT INTO prompt_templates (name, version, content, weight, note) VALUES
+--   ('cardway_persona', 'v1', NULL, 50, '內建版本，只調整權重'),
+--   ('cardway_persona', 'v2', '你是「卡衛」... {{user_input_guard}}', 50, '縮短閒聊範例');
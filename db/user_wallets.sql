@@ -0,0 +1,61 @@
+-- ==========================================
+-- 用戶設定表 (User Wallets)
+-- LIFF 網頁儲存的持卡、支付綁定與個人偏好，LINE Bot 推薦時讀取
+-- ==========================================
+
+CREATE TABLE IF NOT EXISTS user_wallets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+
+    -- ========== 用戶資訊 ==========
+    line_user_id TEXT NOT NULL UNIQUE,    -- LINE User ID (U開頭的一串ID)，一人一筆
+
+    -- ========== 設定內容 (JSONB) ==========
+    my_wallet JSONB DEFAULT '[]',         -- 持有的卡片: [{ bank, name, org }]
+    pay_map JSONB DEFAULT '{}',           -- 行動支付綁定: { "LINE Pay": ["CUBE卡"] }
+    profile JSONB DEFAULT '{}',           -- 個人偏好: gender / birthMonth / cardHabits / mainCards ...
+
+    -- ========== 版本控制 ==========
+    version INTEGER NOT NULL DEFAULT 1,   -- 每次儲存 +1，版本不符代表其他裝置已更新 (樂觀鎖)
+
+    -- ========== 狀態 ==========
+    is_active BOOLEAN DEFAULT TRUE,       -- 封鎖機器人時設為 false
+    unfollowed_at TIMESTAMPTZ,            -- 封鎖時間
+
+    -- ========== 時間戳記 ==========
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- 既有資料表升級 (Migration)
+-- 已經建立過 user_wallets 的環境，請執行以下語法補上新欄位
+-- ==========================================
+
+ALTER TABLE user_wallets ADD COLUMN IF NOT EXISTS profile JSONB DEFAULT '{}';
+ALTER TABLE user_wallets ADD COLUMN IF NOT EXISTS version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE user_wallets ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+ALTER TABLE user_wallets ADD COLUMN IF NOT EXISTS unfollowed_at TIMESTAMPTZ;
+ALTER TABLE user_wallets ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+-- ==========================================
+-- 索引設計 (加速常用查詢)
+-- ==========================================
+
+-- line_user_id 已有 UNIQUE 索引，這裡只補統計用的
+CREATE INDEX IF NOT EXISTS idx_user_wallets_active ON user_wallets(is_active);
+
+-- ==========================================
+-- 常用查詢範例
+-- ==========================================
+
+-- 查看設定過卡片的活躍用戶數
+-- SELECT COUNT(*)
+-- FROM user_wallets
+-- WHERE is_active = TRUE AND jsonb_array_length(my_wallet) > 0;
+
+-- 最熱門的持有卡片
+-- SELECT card->>'name' AS card_name, COUNT(*) AS holders
+-- FROM user_wallets, jsonb_array_elements(my_wallet) AS card
+-- GROUP BY card_name
+-- ORDER BY holders DESC
+-- LIMIT 20;
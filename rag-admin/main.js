@@ -4,6 +4,8 @@ import './style.css'
 let GEMINI_API_KEY = localStorage.getItem('GEMINI_API_KEY') || '';
 let FILE_STORE_NAME = localStorage.getItem('FILE_STORE_NAME') || '';
 let GAS_WEBAPP_URL = localStorage.getItem('GAS_WEBAPP_URL') || '';
+let SUPABASE_URL = localStorage.getItem('SUPABASE_URL') || '';
+let SUPABASE_KEY = localStorage.getItem('SUPABASE_KEY') || '';
 
 // 本地暫存
 let filenameMap = {};
@@ -19,12 +21,15 @@ const docList = document.getElementById('document-list');
 const docCountEl = document.getElementById('doc-count');
 const apiStatusEl = document.getElementById('api-status');
 const storeIdEl = document.getElementById('store-id');
+const feedbackList = document.getElementById('feedback-list');
 
 // Settings Elements
 const modal = document.getElementById('settings-modal');
 const inputApiKey = document.getElementById('input-api-key');
 const inputStoreName = document.getElementById('input-store-name');
 const inputGasUrl = document.getElementById('input-gas-url');
+const inputSupabaseUrl = document.getElementById('input-supabase-url');
+const inputSupabaseKey = document.getElementById('input-supabase-key');
 const btnSettings = document.getElementById('btn-settings');
 const btnSaveSettings = document.getElementById('btn-save-settings');
 const btnCloseSettings = document.getElementById('btn-close-settings');
@@ -50,6 +55,8 @@ async function init() {
     inputApiKey.value = GEMINI_API_KEY;
     inputStoreName.value = FILE_STORE_NAME;
     inputGasUrl.value = GAS_WEBAPP_URL;
+    inputSupabaseUrl.value = SUPABASE_URL;
+    inputSupabaseKey.value = SUPABASE_KEY;
 
     // 綁定表頭排序事件
     const thName = document.getElementById('th-name');
@@ -66,6 +73,8 @@ async function init() {
         await fetchDocuments();
         renderHeaderIcons();
     }
+
+    await fetchFeedback();
 }
 
 function updateUIStatus() {
@@ -96,20 +105,27 @@ if (btnSaveSettings) btnSaveSettings.onclick = async () => {
     const newKey = inputApiKey.value.trim();
     const newStore = inputStoreName.value.trim();
     const newGasUrl = inputGasUrl.value.trim();
+    const newSupabaseUrl = inputSupabaseUrl.value.trim().replace(/\/+$/, '');
+    const newSupabaseKey = inputSupabaseKey.value.trim();
 
     GEMINI_API_KEY = newKey;
     FILE_STORE_NAME = newStore;
     GAS_WEBAPP_URL = newGasUrl;
+    SUPABASE_URL = newSupabaseUrl;
+    SUPABASE_KEY = newSupabaseKey;
 
     localStorage.setItem('GEMINI_API_KEY', newKey);
     localStorage.setItem('FILE_STORE_NAME', newStore);
     localStorage.setItem('GAS_WEBAPP_URL', newGasUrl);
+    localStorage.setItem('SUPABASE_URL', newSupabaseUrl);
+    localStorage.setItem('SUPABASE_KEY', newSupabaseKey);
 
     addLog('設定已更新。', 'success');
     closeSettings();
     updateUIStatus();
     await fetchFilenameMap();
     await fetchDocuments();
+    await fetchFeedback();
 };
 
 // --- 從 GAS 抓取對照表 ---
@@ -303,6 +319,57 @@ window.deleteDoc = async (docName) => {
     }
 };
 
+// --- 用戶意見回饋 (Supabase feedback 表) ---
+async function fetchFeedback() {
+    if (!SUPABASE_URL || !SUPABASE_KEY) return;
+
+    const url = `${SUPABASE_URL}/rest/v1/feedback?select=line_display_name,content,created_at&order=created_at.desc&limit=50`;
+
+    try {
+        const res = await fetch(url, {
+            cache: 'no-store',
+            headers: {
+                'apikey': SUPABASE_KEY,
+                'Authorization': `Bearer ${SUPABASE_KEY}`
+            }
+        });
+        const data = await res.json();
+
+        if (!res.ok) {
+            addLog(`回饋讀取失敗: ${data.message || res.status}`, 'error');
+            return;
+        }
+
+        renderFeedback(data);
+        addLog(`意見回饋已載入 (共 ${data.length} 筆)`);
+    } catch (err) {
+        addLog(`回饋讀取異常: ${err.message}`, 'error');
+    }
+}
+
+function renderFeedback(items) {
+    if (items.length === 0) {
+        feedbackList.innerHTML = '<tr><td colspan="4" class="empty-msg">目前沒有意見回饋。</td></tr>';
+        return;
+    }
+
+    // 回饋內容是用戶輸入的文字，一律跳脫後再插入
+    feedbackList.innerHTML = items.map((item, idx) => `
+            <tr>
+                <td>${idx + 1}</td>
+                <td style="color: var(--neon-cyan);">${escapeHtml(item.line_display_name || 'Unknown')}</td>
+                <td style="white-space: pre-wrap;">${escapeHtml(item.content)}</td>
+                <td style="font-size: 0.85rem; color: var(--text-base);">${new Date(item.created_at).toLocaleString('zh-TW', { hour12: false })}</td>
+            </tr>
+        `).join('');
+}
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
 // --- GAS API 連線 ---
 async function callGasApi(action) {
     if (!GAS_WEBAPP_URL) {
@@ -350,6 +417,7 @@ async function callGasApi(action) {
 }
 
 document.getElementById('btn-sync').onclick = () => callGasApi('sync');
+document.getElementById('btn-refresh-feedback').onclick = () => fetchFeedback();
 document.getElementById('btn-clear').onclick = () => {
     if (confirm('確定要執行強化清空嗎？')) {
         callGasApi('clear');
@@ -1,9 +1,11 @@
 
 const DRIVE_FOLDER_ID = '1ln--Q37vK1njIaI-1qz7Yf-b9hOfnkCc';
 const MAP_PROP_KEY = 'RAG_FILENAME_MAP';
+const DRIVE_MAP_PROP_KEY = 'RAG_DRIVE_MAP'; // { 上傳檔名: Drive 檔案 ID }，引用來源連結用 (ragCitations.js)
 
 /**
  * 主程式：智慧同步 Google Drive 檔案 (Hybrid 雙重比對版)
+ * @returns {Object|null} 同步報告 { scanned, skipped, added }，設定錯誤或系統錯誤時回傳 null
  */
 function syncDriveToGemini() {
   const scriptProperties = PropertiesService.getScriptProperties();
@@ -12,7 +14,7 @@ function syncDriveToGemini() {
 
   if (!storeName) {
     Logger.log("❌ 錯誤：未設定 FILE_STORE_NAME");
-    return;
+    return null;
   }
 
   // 1. 取得並清理對照表
@@ -49,6 +51,7 @@ function syncDriveToGemini() {
     let fileCount = 0;
     let skippedCount = 0;
     let successCount = 0;
+    const driveMap = {};
 
     while (files.hasNext()) {
       const file = files.next();
@@ -61,6 +64,9 @@ function syncDriveToGemini() {
         if (!expectedName.toLowerCase().endsWith('.pdf')) expectedName += ".pdf";
       }
 
+      // 記錄 Drive 原始檔案 (不論是否已上傳)，讓引用來源可以連回原檔
+      driveMap[expectedName] = file.getId();
+
       // Hybrid 比對
       if (existingNamesSet.has(expectedName)) {
         Logger.log(`⏭️ [${fileCount}] 跳過 (已存在): ${expectedName}`);
@@ -94,15 +100,36 @@ function syncDriveToGemini() {
       }
     }
 
+    saveDriveMap(driveMap);
+
     Logger.log("\n" + "=".repeat(50));
     Logger.log(`📊 報告: 掃描 ${fileCount} / 略過 ${skippedCount} / 新增 ${successCount}`);
     Logger.log("=".repeat(50));
+    return { scanned: fileCount, skipped: skippedCount, added: successCount };
 
   } catch (e) {
     Logger.log(`❌ 系統錯誤: ${e.toString()}`);
+    return null;
   }
 }
 
+/**
+ * 查詢知識庫目前狀態 (LINE 管理員指令 /rag status 使用)
+ * @returns {Object} { storeName, liveCount, mapCount }
+ */
+function getRagStatus() {
+  const props = PropertiesService.getScriptProperties();
+  const apiKey = props.getProperty('GEMINI_API_KEY');
+  const storeName = props.getProperty('FILE_STORE_NAME');
+  if (!storeName) return { storeName: null, liveCount: 0, mapCount: 0 };
+
+  return {
+    storeName: storeName,
+    liveCount: getLiveDocuments(storeName, apiKey).length,
+    mapCount: Object.keys(getFilenameMap()).length
+  };
+}
+
 function getFilenameMap() {
   const props = PropertiesService.getScriptProperties();
   const json = props.getProperty(MAP_PROP_KEY);
@@ -114,6 +141,11 @@ function saveFilenameMap(map) {
   props.setProperty(MAP_PROP_KEY, JSON.stringify(map));
 }
 
+function saveDriveMap(map) {
+  const props = PropertiesService.getScriptProperties();
+  props.setProperty(DRIVE_MAP_PROP_KEY, JSON.stringify(map));
+}
+
 function getLiveDocuments(storeName, apiKey) {
   let docs = [];
   let nextPageToken = '';
@@ -0,0 +1,221 @@
+/**
+ * 管理員指令模組 (Admin Commands)
+ *
+ * 讓營運人員直接在 LINE 聊天室操作機器人，不必打開 GAS 編輯器手動執行函式。
+ * 管理員名單設定在「指令碼屬性」ADMIN_USER_LIST (以逗號分隔的 LINE User ID)
+ *
+ * 指令會透過 getAdminCommands 併入 commands.js 的註冊表 (adminOnly)，
+ * 非管理員輸入這些指令時會被當成一般訊息，不會洩漏指令存在
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 權限 ====================
+
+/**
+ * 檢查用戶是否為管理員
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {boolean} 是否為管理員
+ */
+function isAdminUser(userId) {
+    if (!userId) return false;
+    const adminListProp = PROPS.getProperty('ADMIN_USER_LIST');
+    if (!adminListProp) return false;
+    return adminListProp.split(',').map(id => id.trim()).includes(userId);
+}
+
+// ==================== 指令定義 ====================
+
+/**
+ * 管理員指令 (由 commands.js 的 getCommandRegistry 合併)
+ *
+ * @returns {Array} 指令定義清單
+ */
+function getAdminCommands() {
+    return [
+        {
+            name: 'admin_vip_add',
+            triggers: { regex: [/^\/vip\s+add\s+(U[0-9a-f]{32})$/i] },
+            adminOnly: true,
+            usage: ['/vip add U…'],
+            help: '將用戶加入 VIP',
+            handler: (ctx) => adminReply(addVipUser(ctx.match[1])
+                ? `✅ 已將 ${ctx.match[1]} 加入 VIP 名單`
+                : `⚠️ ${ctx.match[1]} 已經是 VIP`)
+        },
+        {
+            name: 'admin_vip_list',
+            triggers: { exact: ['/vip list'] },
+            adminOnly: true,
+            help: '列出 VIP 名單',
+            handler: () => {
+                const vips = listVipUsers();
+                return adminReply(vips.length > 0
+                    ? `👑 VIP 名單 (${vips.length} 人)\n\n${vips.join('\n')}`
+                    : '👑 VIP 名單：(空)');
+            }
+        },
+        {
+            name: 'admin_limit_reset',
+            triggers: { regex: [/^\/limit\s+reset\s+(U[0-9a-f]{32})$/i] },
+            adminOnly: true,
+            usage: ['/limit reset U…'],
+            help: '重置用戶的使用次數',
+            handler: (ctx) => {
+                clearRateLimit(ctx.match[1]);
+                return adminReply(`✅ 已重置 ${ctx.match[1]} 的使用次數`);
+            }
+        },
+        {
+            name: 'admin_rag_sync',
+            triggers: { exact: ['/rag sync'] },
+            adminOnly: true,
+            help: '同步 Google Drive 文件到知識庫',
+            handler: (ctx) => adminReply(queueRagSync(ctx.userId)
+                ? '🔄 知識庫同步已開始，完成後會推播報告給你'
+                : '⏳ 知識庫同步已在進行中，完成後會推播報告')
+        },
+        {
+            name: 'admin_rag_status',
+            triggers: { exact: ['/rag status'] },
+            adminOnly: true,
+            help: '查看知識庫文件數量',
+            handler: () => {
+                const status = getRagStatus();
+                if (!status.storeName) return adminReply('⚠️ 尚未設定 FILE_STORE_NAME');
+                return adminReply(`📚 知識庫狀態\n\n儲存庫：${status.storeName.split('/').pop()}\n文件數：${status.liveCount}\n對照表：${status.mapCount} 筆`);
+            }
+        },
+        {
+            name: 'admin_blocklist_reload',
+            triggers: { exact: ['/blocklist reload'] },
+            adminOnly: true,
+            help: '重新載入敏感詞庫 (Supabase 改完後執行)',
+            handler: () => adminReply(`✅ 敏感詞庫已重新載入 (共 ${reloadBlocklist()} 個詞)`)
+        },
+        {
+            name: 'admin_prompts_reload',
+            triggers: { exact: ['/prompts reload'] },
+            adminOnly: true,
+            help: '重新載入 Prompt 範本 (Supabase 改完後執行)',
+            handler: () => adminReply(`✅ Prompt 範本已重新載入\n\n${reloadPromptTemplates()}`)
+        },
+        {
+            name: 'admin_stats_today',
+            triggers: { exact: ['/stats today'] },
+            adminOnly: true,
+            help: '今日使用統計',
+            handler: () => adminReply(buildTodayStatsText())
+        }
+    ];
+}
+
+/**
+ * 管理員指令的統一回覆格式
+ *
+ * @param {string} text - 回覆文字
+ * @returns {Object} 指令結果
+ */
+function adminReply(text) {
+    return { text: text, responseType: 'ADMIN' };
+}
+
+// ==================== 知識庫同步 ====================
+
+const RAG_SYNC_HANDLER = 'runQueuedRagSync';
+const RAG_SYNC_REQUESTER_KEY = 'RAG_SYNC_REQUESTED_BY';
+
+/**
+ * 排入知識庫同步 (一次性觸發器)
+ * syncDriveToGemini 每個檔案都要等好幾秒，直接在 webhook 裡跑會超過 replyToken 有效時間或 GAS 執行上限
+ *
+ * @param {string} userId - 發出指令的管理員 (完成後推播報告)
+ * @returns {boolean} true = 已排入，false = 已有同步在排隊或執行中
+ */
+function queueRagSync(userId) {
+    const queued = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === RAG_SYNC_HANDLER);
+    if (queued) return false;
+
+    PROPS.setProperty(RAG_SYNC_REQUESTER_KEY, userId);
+    ScriptApp.newTrigger(RAG_SYNC_HANDLER).timeBased().after(1000).create();
+    console.log(`[RAG] 已排入知識庫同步 (by ${userId})`);
+    return true;
+}
+
+/**
+ * 一次性觸發器執行的同步工作：同步完推播報告給發出指令的管理員
+ */
+function runQueuedRagSync() {
+    const requester = PROPS.getProperty(RAG_SYNC_REQUESTER_KEY);
+
+    try {
+        const report = syncDriveToGemini();
+        if (requester) {
+            pushLine(requester, [{
+                type: 'text',
+                text: report
+                    ? `🔄 知識庫同步完成\n\n掃描：${report.scanned}\n略過：${report.skipped}\n新增：${report.added}`
+                    : '❌ 同步失敗，請檢查 FILE_STORE_NAME 設定或 GAS 執行紀錄'
+            }]);
+        }
+    } finally {
+        // 一次性觸發器執行完不會自己消失，要手動移除，下次 /rag sync 才能再排入
+        ScriptApp.getProjectTriggers()
+            .filter(t => t.getHandlerFunction() === RAG_SYNC_HANDLER)
+            .forEach(t => ScriptApp.deleteTrigger(t));
+        PROPS.deleteProperty(RAG_SYNC_REQUESTER_KEY);
+    }
+}
+
+// ==================== 統計 ====================
+
+/**
+ * 從 chat_logs 統計今天 (台北時間) 的使用狀況
+ *
+ * @returns {string} 統計文字
+ */
+function buildTodayStatsText() {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY) return '⚠️ Supabase 未設定，無法統計';
+
+    const todayStart = Utilities.formatDate(new Date(), 'Asia/Taipei', "yyyy-MM-dd'T'00:00:00'+08:00'");
+
+    try {
+        // 在資料庫端彙總 (db/chat_logs.sql 的 chat_logs_stats_since)，PostgREST 一次最多只回傳 1000 筆明細
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/rpc/chat_logs_stats_since`, {
+            method: 'post',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': SUPABASE_KEY,
+                'Authorization': 'Bearer ' + SUPABASE_KEY
+            },
+            payload: JSON.stringify({ since: todayStart }),
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() !== 200) {
+            console.error(`❌ Stats Query Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+            return `❌ 查詢失敗 (HTTP ${res.getResponseCode()})`;
+        }
+
+        const stats = JSON.parse(res.getContentText()) || {};
+        const byType = stats.by_type || {};
+        const typeLines = Object.keys(byType)
+            .sort((a, b) => byType[b] - byType[a])
+            .map(type => `• ${type}：${byType[type]}`);
+
+        return `📈 今日統計 (${todayStart.substring(0, 10)})
+
+💬 對話數：${stats.total || 0}
+👤 用戶數：${stats.users || 0}
+⏱️ 平均回應：${stats.avg_response_ms || 0} ms
+
+${typeLines.join('\n')}`;
+    } catch (e) {
+        console.error('buildTodayStatsText Error: ' + e.message);
+        return '❌ 統計失敗：' + e.message;
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * 熱門問題答案快取 (Answer Cache)
+ *
+ * 很多用戶問的是同樣的問題 (「超商」「網購」「加油」)，每次都要跑一次 RAG + Gemini。
+ * 這裡把 callGeminiJSON 的結果依「正規化後的問題 + 用戶背景指紋」快取起來：
+ * - CacheService：熱門答案，1 小時
+ * - Supabase answer_cache 表：較長期的答案，24 小時
+ *
+ * 快取鍵包含：
+ * - 正規化後的問題 (全半形、大小寫、空白與標點統一)
+ * - 用戶背景指紋 (持卡、行動支付綁定、權益方案、個人偏好，也就是 Prompt 中的【用戶背景】)
+ * - 人設 Prompt 版本 (promptTemplates.js 的 A/B 版本)
+ * - RAG 知識庫版本 (FILE_STORE_NAME + RAG_FILENAME_MAP，同步新文件後舊答案自動失效)
+ *
+ * 只快取沒有先前對話的 QUERY / CHITCHAT (追問要看上下文)。本地快篩放行的問題命中時完全不呼叫 Gemini，
+ * 不計入使用次數 (已達上限的用戶也照常回覆)；chat_logs.cache_hit 記為 true
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const ANSWER_CACHE_CONFIG = {
+    hotTtlSeconds: 60 * 60,  // CacheService 保存時間
+    ttlHours: 24,            // Supabase 保存時間
+    maxQueryLength: 30       // 太長的問題幾乎不會重複，不快取
+};
+
+const CACHEABLE_ANSWER_TYPES = ['QUERY', 'CHITCHAT'];
+
+// ==================== 核心函式 ====================
+
+/**
+ * 產生快取鍵
+ *
+ * @param {string} question - 用戶輸入
+ * @param {string} userContext - Prompt 中的【用戶背景】 (buildUserContext)
+ * @param {string} userId - LINE User ID (決定 Prompt 版本)
+ * @returns {string|null} 快取鍵；不適合快取的問題回傳 null
+ */
+function buildAnswerCacheKey(question, userContext, userId) {
+    const normalized = normalizeCacheQuery(question);
+    if (!normalized || normalized.length > ANSWER_CACHE_CONFIG.maxQueryLength) return null;
+
+    const promptVersion = typeof selectPromptVariant === 'function'
+        ? selectPromptVariant(PERSONA_PROMPT_NAME, userId).version
+        : '';
+
+    // hashIdToken (liffAuth.js) 就是 SHA-256 十六進位字串，快取鍵不會超過 250 字元
+    return 'answer_' + hashIdToken([normalized, hashIdToken(userContext || ''), promptVersion, getRagStoreVersion()].join('|'));
+}
+
+/**
+ * 讀取快取的答案 (先查 CacheService，再查 Supabase)
+ *
+ * @param {string} cacheKey - buildAnswerCacheKey 的結果
+ * @returns {Object|null} callGeminiJSON 格式的答案 (每次都是新的物件，可以直接修改)
+ */
+function getCachedAnswer(cacheKey) {
+    if (!cacheKey) return null;
+
+    const cache = CacheService.getScriptCache();
+    const hot = cache.get(cacheKey);
+    if (hot) {
+        try { return JSON.parse(hot); } catch (e) { }
+    }
+
+    const row = fetchCachedAnswerFromSupabase(cacheKey);
+    if (!row) return null;
+
+    // 放回 CacheService，下次不用再查 Supabase
+    try {
+        cache.put(cacheKey, JSON.stringify(row), ANSWER_CACHE_CONFIG.hotTtlSeconds);
+    } catch (e) {
+        console.warn('getCachedAnswer: 答案過大，無法放入 CacheService');
+    }
+    return row;
+}
+
+/**
+ * 儲存答案 (CacheService + Supabase)
+ *
+ * @param {string} cacheKey - buildAnswerCacheKey 的結果
+ * @param {string} question - 用戶輸入 (記錄用)
+ * @param {Object} answer - callGeminiJSON 的結果
+ * @returns {boolean} 是否有儲存
+ */
+function saveCachedAnswer(cacheKey, question, answer) {
+    if (!cacheKey || !isCacheableAnswer(answer)) return false;
+
+    const json = JSON.stringify(answer);
+    try {
+        CacheService.getScriptCache().put(cacheKey, json, ANSWER_CACHE_CONFIG.hotTtlSeconds);
+    } catch (e) {
+        console.warn('saveCachedAnswer: 答案過大，無法放入 CacheService');
+    }
+
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY) return true;
+
+    try {
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/answer_cache?on_conflict=cache_key`, {
+            method: 'post',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': SUPABASE_KEY,
+                'Authorization': 'Bearer ' + SUPABASE_KEY,
+                'Prefer': 'resolution=merge-duplicates,return=minimal'
+            },
+            payload: JSON.stringify({
+                cache_key: cacheKey,
+                normalized_query: normalizeCacheQuery(question),
+                response: answer,
+                prompt_version: answer.meta ? answer.meta.promptVersion || null : null,
+                rag_version: getRagStoreVersion(),
+                expires_at: new Date(Date.now() + ANSWER_CACHE_CONFIG.ttlHours * 3600 * 1000).toISOString()
+            }),
+            muteHttpExceptions: true
+        });
+        if (res.getResponseCode() >= 300) {
+            console.error(`❌ Answer Cache Save Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+        }
+    } catch (e) {
+        console.error('saveCachedAnswer Error: ' + e.message);
+    }
+    return true;
+}
+
+/**
+ * 是否適合快取 (只收正常的 QUERY / CHITCHAT，RAG 失敗的降級答案不收)
+ *
+ * @param {Object} answer - callGeminiJSON 的結果
+ * @returns {boolean}
+ */
+function isCacheableAnswer(answer) {
+    if (!answer || !CACHEABLE_ANSWER_TYPES.includes(answer.type)) return false;
+    return !(answer.meta && answer.meta.ragFailed);
+}
+
+/**
+ * 正規化問題：全形轉半形、轉小寫、移除空白與標點
+ * 「超商？」「 超商 」「超商!」都會變成「超商」
+ *
+ * @param {string} text - 用戶輸入
+ * @returns {string}
+ */
+function normalizeCacheQuery(text) {
+    return String(text || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s?!.,~。，、！？～…]+/g, '');
+}
+
+/**
+ * RAG 知識庫版本：同步新增或刪除文件時 RAG_FILENAME_MAP 會改變 (RAG.js)
+ *
+ * @returns {string} 版本雜湊 (沒有啟用 RAG 時為 'none')
+ */
+function getRagStoreVersion() {
+    const storeName = PROPS.getProperty('FILE_STORE_NAME');
+    if (!storeName) return 'none';
+    return hashIdToken(storeName + '|' + (PROPS.getProperty('RAG_FILENAME_MAP') || '')).substring(0, 12);
+}
+
+// ==================== 內部工具 ====================
+
+/**
+ * 從 Supabase answer_cache 表讀取未過期的答案
+ *
+ * @param {string} cacheKey - 快取鍵
+ * @returns {Object|null} 答案，沒有或失敗回傳 null
+ */
+function fetchCachedAnswerFromSupabase(cacheKey) {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY) return null;
+
+    try {
+        const now = encodeURIComponent(new Date().toISOString());
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/answer_cache?select=response&cache_key=eq.${cacheKey}&expires_at=gt.${now}&limit=1`, {
+            method: 'get',
+            headers: { 'apikey': SUPABASE_KEY, 'Authorization': 'Bearer ' + SUPABASE_KEY },
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() === 200) {
+            const rows = JSON.parse(res.getContentText());
+            return rows.length > 0 ? rows[0].response : null;
+        }
+        console.error(`❌ Answer Cache Query Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+    } catch (e) {
+        console.error('fetchCachedAnswerFromSupabase Error: ' + e.message);
+    }
+    return null;
+}
@@ -0,0 +1,167 @@
+/**
+ * 非同步回覆模組 (Async Reply)
+ *
+ * Lite Filter + RAG + Gemini 加起來可能超過 replyToken 的有效時間，導致回覆靜默失敗。
+ * 開啟非同步模式後：
+ * 1. doPost 只把事件放進佇列 (Script Properties)，並顯示 LINE 的讀取動畫
+ * 2. 每分鐘執行一次的 processQueuedEvents 取出事件，交給 handleMessage 完成回答
+ * 3. handleMessage 透過 sendLine 回覆，replyToken 過期就自動改用 Push
+ *
+ * 啟用方式：
+ * - 「指令碼屬性」設定 REPLY_MODE = ASYNC
+ * - 在 GAS 編輯器執行一次 installAsyncWorker() 建立定時觸發器
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const ASYNC_QUEUE_PREFIX = 'async_event_';     // 佇列在 Script Properties 中的 key 前綴
+const ASYNC_WORKER_BUDGET_MS = 4.5 * 60 * 1000; // 單次 worker 最多處理 4.5 分鐘 (GAS 上限 6 分鐘)
+const ASYNC_LOADING_SECONDS = 60;               // 讀取動畫秒數 (LINE 允許 5~60，需為 5 的倍數)
+
+// ==================== 排隊 (doPost 端) ====================
+
+/**
+ * 是否啟用非同步回覆模式
+ *
+ * @returns {boolean}
+ */
+function isAsyncReplyMode() {
+    return (PROPS.getProperty('REPLY_MODE') || 'SYNC').toUpperCase() === 'ASYNC';
+}
+
+/**
+ * 將訊息事件放進佇列，並讓用戶先看到「思考中」
+ *
+ * @param {Object} event - LINE message 事件
+ */
+function enqueueWebhookEvent(event) {
+    const id = event.webhookEventId || `${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+    PROPS.setProperty(ASYNC_QUEUE_PREFIX + id, JSON.stringify(event));
+    console.log(`[ASYNC] 事件已排隊: ${id}`);
+
+    // 1對1 聊天顯示讀取動畫；群組不支援動畫，改用 replyToken 回一句「思考中」(之後的答案會走 Push)
+    const isUserChat = event.source.type === 'user';
+    if (!isUserChat || !startLoadingAnimation(event.source.userId)) {
+        replyLine(event.replyToken, [{ type: 'text', text: '🤔 卡衛思考中，請稍候...' }]);
+    }
+}
+
+/**
+ * 顯示 LINE 聊天室的讀取動畫
+ * 只支援 1對1 聊天，收到下一則訊息時動畫會自動消失
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {boolean} 是否成功
+ */
+function startLoadingAnimation(userId) {
+    try {
+        const res = UrlFetchApp.fetch('https://api.line.me/v2/bot/chat/loading/start', {
+            method: 'post',
+            headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + CHANNEL_ACCESS_TOKEN },
+            payload: JSON.stringify({ chatId: userId, loadingSeconds: ASYNC_LOADING_SECONDS }),
+            muteHttpExceptions: true
+        });
+        return res.getResponseCode() === 202;
+    } catch (e) {
+        console.warn('startLoadingAnimation Error: ' + e.message);
+        return false;
+    }
+}
+
+// ==================== 處理佇列 (Worker 端) ====================
+
+/**
+ * 定時觸發器呼叫的 Worker：依序處理佇列中的事件
+ *
+ * 用快取旗標避免兩個 Worker 同時執行 (不長時間佔用 ScriptLock，以免卡住 doPost 的去重檢查)
+ */
+function processQueuedEvents() {
+    const cache = CacheService.getScriptCache();
+    if (cache.get('async_worker_running')) {
+        console.log('[ASYNC] 另一個 Worker 正在執行，略過本次');
+        return;
+    }
+    cache.put('async_worker_running', '1', 6 * 60);
+
+    const startTime = new Date().getTime();
+    let processed = 0;
+
+    try {
+        const keys = Object.keys(PROPS.getProperties())
+            .filter(key => key.indexOf(ASYNC_QUEUE_PREFIX) === 0)
+            .sort();
+
+        for (let i = 0; i < keys.length; i++) {
+            if (new Date().getTime() - startTime > ASYNC_WORKER_BUDGET_MS) {
+                console.warn(`[ASYNC] 時間不足，剩餘 ${keys.length - i} 筆留待下次處理`);
+                break;
+            }
+
+            const event = claimQueuedEvent(keys[i]);
+            if (!event) continue;
+
+            try {
+                handleMessage(event);
+                processed++;
+            } catch (e) {
+                console.error(`[ASYNC] 處理事件 ${keys[i]} 失敗: ${e.message}`);
+            }
+        }
+    } finally {
+        cache.remove('async_worker_running');
+    }
+
+    if (processed > 0) console.log(`[ASYNC] 本次處理 ${processed} 筆事件`);
+}
+
+/**
+ * 從佇列取出並刪除一個事件 (先刪除再處理，失敗也不會無限重試)
+ *
+ * @param {string} key - Script Properties 中的 key
+ * @returns {Object|null} LINE 事件，已被取走則回傳 null
+ */
+function claimQueuedEvent(key) {
+    const lock = LockService.getScriptLock();
+    const locked = lock.tryLock(3000);
+
+    try {
+        const raw = PROPS.getProperty(key);
+        if (!raw) return null;
+        PROPS.deleteProperty(key);
+        return JSON.parse(raw);
+    } catch (e) {
+        console.error(`[ASYNC] 無法讀取事件 ${key}: ${e.message}`);
+        return null;
+    } finally {
+        if (locked) lock.releaseLock();
+    }
+}
+
+// ==================== 觸發器管理 ====================
+
+/**
+ * 建立每分鐘執行一次的 Worker 觸發器 (在 GAS 編輯器手動執行一次即可)
+ */
+function installAsyncWorker() {
+    const exists = ScriptApp.getProjectTriggers().some(t => t.getHandlerFunction() === 'processQueuedEvents');
+    if (exists) {
+        console.log('⚠️ processQueuedEvents 觸發器已存在');
+        return;
+    }
+
+    ScriptApp.newTrigger('processQueuedEvents').timeBased().everyMinutes(1).create();
+    console.log('✅ 已建立 processQueuedEvents 觸發器 (每分鐘)');
+}
+
+/**
+ * 移除 Worker 觸發器 (切回同步模式時使用)
+ */
+function uninstallAsyncWorker() {
+    ScriptApp.getProjectTriggers()
+        .filter(t => t.getHandlerFunction() === 'processQueuedEvents')
+        .forEach(t => ScriptApp.deleteTrigger(t));
+    console.log('✅ 已移除 processQueuedEvents 觸發器');
+}
@@ -0,0 +1,241 @@
+/**
+ * 髒話與敏感詞過濾模組 (Blocklist)
+ *
+ * handleMessage 的第一道防線 (比 Gemini Lite Filter 便宜又快)。
+ * 比對前會先「正規化」用戶輸入，破解常見的繞過手法：
+ * - 全形/半形混用：「ｆｕｃｋ」→「fuck」
+ * - 插入空白、符號、數字、Emoji：「幹.你」「幹 1 你」→「幹你」
+ * - 注音/同音字替代：「ㄍㄢˋ你」「干你」「淦妳」→「幹你」
+ * - 拼音：「gan ni niang」→「ganniniang」(直接列在詞庫)
+ *
+ * 詞庫 = 內建預設詞 + Supabase blocklist_words 表 (可在後台直接編輯)，
+ * 讀取結果快取在 CacheService，改完詞庫後執行 reloadBlocklist() 或管理員指令 /blocklist reload 即可生效
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const BLOCKLIST_CACHE_KEY = 'blocklist_words';
+const BLOCKLIST_CACHE_TTL = 10 * 60; // 詞庫快取 10 分鐘 (秒)
+
+// 內建敏感詞 (Supabase 讀不到時仍然有基本防護)
+const DEFAULT_BLOCK_WORDS = [
+    '幹你娘', '幹你', '操你', '靠北', '靠杯', '機掰', '王八蛋', '三小',
+    '白癡', '智障', '腦殘', '去死', '垃圾機器人',
+    'fuck', 'shit', 'bitch', 'ganniniang', 'kaobei'
+];
+
+// 內建白名單 (含有敏感字但其實是正常用語)
+// 白名單詞要完整涵蓋命中的敏感詞才放行，所以要寫完整的詞組：
+// 「靠背」會連「靠背你」一起放行，要寫成「汽車靠背」；「餅干你」放行「餅干你吃嗎」但擋得住「餅干你娘」
+const DEFAULT_ALLOW_WORDS = [
+    '能幹', '才幹', '骨幹', '樹幹', '主幹', '幹部', '幹線', '幹細胞',
+    '三小時', '三小孩', '三小組', '去死皮', '靠北邊', '靠背椅', '汽車靠背', '座椅靠背',
+    '不干你的事', '不干你事', '餅干你'
+];
+
+// 同音字 / 注音 → 標準字 (在移除符號之後套用，長的寫前面)
+const BLOCKLIST_VARIANTS = [
+    ['ㄍㄢ', '幹'], ['干', '幹'], ['淦', '幹'],
+    ['ㄋㄧㄤ', '娘'], ['ㄋㄧ', '你'], ['妳', '你'], ['您', '你'], ['尼', '你'],
+    ['ㄎㄠ', '靠'], ['ㄅㄟ', '北'], ['背', '北'], ['盃', '杯'],
+    ['ㄘㄠ', '操'], ['肏', '操'], ['草你', '操你'],
+    ['雞掰', '機掰'], ['機歪', '機掰'], ['ㄐㄅ', '機掰'],
+    ['痴', '癡']
+];
+
+// ==================== 核心函式 ====================
+
+/**
+ * 檢查文字是否含有敏感詞
+ *
+ * @param {string} text - 用戶輸入
+ * @returns {string|null} 命中的敏感詞 (詞庫原文)，沒有命中回傳 null
+ */
+function findBlockWord(text) {
+    if (!text) return null;
+
+    const words = loadBlocklist();
+    const normalized = normalizeForBlocklist(text);
+
+    // 白名單詞出現的範圍 (白名單也一起折疊，「不干您的事」才對得到「不干你的事」)
+    const allowed = [];
+    words.allow.forEach(word => {
+        const target = normalizeForBlocklist(word);
+        findBlocklistOccurrences(normalized, target).forEach(start => {
+            allowed.push({ start: start, end: start + target.length });
+        });
+    });
+
+    // 敏感詞完整落在白名單詞裡才放行 (「去死皮」的「去死」)；
+    // 只重疊一部分不算，避免「若干你娘」「靠背你」靠白名單繞過
+    for (let i = 0; i < words.block.length; i++) {
+        const target = normalizeForBlocklist(words.block[i]);
+        const hit = findBlocklistOccurrences(normalized, target).some(start => {
+            return !allowed.some(range => range.start <= start && start + target.length <= range.end);
+        });
+        if (hit) return words.block[i];
+    }
+    return null;
+}
+
+/**
+ * 找出詞在文字中所有出現的位置
+ *
+ * @param {string} text - 正規化後的文字
+ * @param {string} target - 正規化後的詞
+ * @returns {number[]} 起始位置
+ */
+function findBlocklistOccurrences(text, target) {
+    const positions = [];
+    if (!target) return positions;
+    for (let i = text.indexOf(target); i !== -1; i = text.indexOf(target, i + 1)) {
+        positions.push(i);
+    }
+    return positions;
+}
+
+/**
+ * 正規化文字，讓各種變形寫法都折疊成同一種
+ *
+ * @param {string} text - 原始文字
+ * @returns {string} 正規化後的文字 (只剩文字字元)
+ */
+function normalizeForBlocklist(text) {
+    return foldBlocklistVariants(stripBlocklistText(text));
+}
+
+/**
+ * 正規化第一步：統一全半形與大小寫，只留下文字字元
+ *
+ * @param {string} text - 原始文字
+ * @returns {string}
+ */
+function stripBlocklistText(text) {
+    return String(text)
+        .normalize('NFKC')              // 全形 → 半形、相容字元統一
+        .toLowerCase()
+        .replace(/[ˊˇˋ˙]/g, '')         // 注音聲調
+        .replace(/[^\p{L}]/gu, '');     // 移除空白、標點、符號、數字、Emoji
+}
+
+/**
+ * 正規化第二步：同音字 / 注音折疊成標準字
+ *
+ * @param {string} text - stripBlocklistText 的結果
+ * @returns {string}
+ */
+function foldBlocklistVariants(text) {
+    let result = text;
+    BLOCKLIST_VARIANTS.forEach(([variant, canonical]) => {
+        result = result.split(variant).join(canonical);
+    });
+    return result;
+}
+
+// ==================== 詞庫讀取 ====================
+
+/**
+ * 取得完整詞庫 (預設 + Supabase)，優先使用快取
+ *
+ * @returns {Object} { block: string[], allow: string[] }
+ */
+function loadBlocklist() {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get(BLOCKLIST_CACHE_KEY);
+    if (cached) {
+        try { return JSON.parse(cached); } catch (e) { }
+    }
+
+    const words = { block: DEFAULT_BLOCK_WORDS.slice(), allow: DEFAULT_ALLOW_WORDS.slice() };
+    const remote = fetchBlocklistFromSupabase();
+
+    if (remote) {
+        remote.forEach(row => {
+            const list = row.kind === 'allow' ? words.allow : words.block;
+            if (row.word && !list.includes(row.word)) list.push(row.word);
+        });
+        // 只有成功讀到 Supabase 才寫入快取，失敗時下次請求會再試
+        try {
+            cache.put(BLOCKLIST_CACHE_KEY, JSON.stringify(words), BLOCKLIST_CACHE_TTL);
+        } catch (e) {
+            console.warn('loadBlocklist: 詞庫過大，無法快取');
+        }
+    }
+
+    return words;
+}
+
+/**
+ * 從 Supabase blocklist_words 表讀取啟用中的詞
+ *
+ * @returns {Array|null} [{ word, kind }]，未設定或失敗回傳 null
+ */
+function fetchBlocklistFromSupabase() {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY) return null;
+
+    try {
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/blocklist_words?select=word,kind&enabled=eq.true`, {
+            method: 'get',
+            headers: { 'apikey': SUPABASE_KEY, 'Authorization': 'Bearer ' + SUPABASE_KEY },
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() === 200) {
+            return JSON.parse(res.getContentText());
+        }
+        console.error(`❌ Blocklist Query Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+    } catch (e) {
+        console.error('fetchBlocklistFromSupabase Error: ' + e.message);
+    }
+    return null;
+}
+
+/**
+ * 清除詞庫快取，下次比對時重新從 Supabase 讀取
+ *
+ * @returns {number} 重新載入後的敏感詞數量
+ */
+function reloadBlocklist() {
+    CacheService.getScriptCache().remove(BLOCKLIST_CACHE_KEY);
+    const words = loadBlocklist();
+    console.log(`✅ 詞庫已重新載入：敏感詞 ${words.block.length} / 白名單 ${words.allow.length}`);
+    return words.block.length;
+}
+
+// ==================== 測試函式 ====================
+
+/**
+ * 測試敏感詞比對 (在 GAS 編輯器中手動執行)
+ */
+function testBlocklist() {
+    [
+        // 變形寫法與白名單繞過，一定要擋
+        { text: '幹.你', blocked: true },
+        { text: 'ｆｕｃｋ', blocked: true },
+        { text: 'ㄍㄢˋ ㄋㄧˇ ㄋㄧㄤˊ', blocked: true },
+        { text: 'gan ni niang', blocked: true },
+        { text: '靠 北 喔', blocked: true },
+        { text: '我不干你娘', blocked: true },
+        { text: '若干你娘', blocked: true },
+        { text: '靠背你', blocked: true },
+        { text: '餅干你娘', blocked: true },
+        // 正常句子，一定不能被擋
+        { text: '去死皮推薦', blocked: false },
+        { text: '超商刷什麼卡', blocked: false },
+        { text: '幹嘛這麼貴', blocked: false },
+        { text: '不干你的事', blocked: false },
+        { text: '不干您的事', blocked: false },
+        { text: '餅干你吃嗎', blocked: false },
+        { text: '汽車靠背', blocked: false },
+        { text: '第三小組', blocked: false },
+        { text: '靠背椅好坐', blocked: false }
+    ].forEach(c => {
+        const hit = findBlockWord(c.text);
+        console.log(`${!!hit === c.blocked ? '✅' : '❌'} ${c.text} → ${hit || '(SAFE)'}`);
+    });
+}
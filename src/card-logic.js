@@ -4,12 +4,15 @@
  * 這是連接 LINE Bot、Google Gemini AI 與 Supabase 資料庫的核心程式。
  * 
  * 主要功能流程：
- * 1. 收到 LINE 訊息 (doPost)
+ * 1. 收到 LINE 訊息 (doPost)，先驗證 LINE 簽章 (lineSignature.js)；圖片 / 位置 / 貼圖會先轉成文字查詢 (messageContent.js)
  * 2. 檢查是否為髒話 (handleMessage -> findBlockWord)
  * 3. 前往 Supabase 查詢用戶持有的信用卡 (getFromSupabase)
  * 4. 將「用戶問題」+「持卡清單」打包傳給 Gemini AI (callGeminiJSON)
  * 5. Gemini AI 透過 RAG (File Search) 查詢信用卡權益檔案
- * 6. 回傳 AI 建議給 LINE 用戶 (replyLine)
+ * 6. 回傳 AI 建議給 LINE 用戶 (replyLine，token 過期則改用 pushLine)
+ *
+ * 若「指令碼屬性」REPLY_MODE = ASYNC，doPost 只負責排隊與顯示讀取動畫，
+ * 2~6 步改由定時觸發的 processQueuedEvents 完成 (asyncReply.js)
  */
 
 // 取得「專案設定 > 指令碼屬性」中的隱藏變數 (API Key 等機密資訊)
@@ -18,6 +21,7 @@ const CHANNEL_ACCESS_TOKEN = PROPS.getProperty('CHANNEL_ACCESS_TOKEN'); // LINE
 const SHEET_ID = PROPS.getProperty('SHEET_ID'); // (備用) 如果有要存 Google Sheet 的話
 const GEMINI_API_KEY = PROPS.getProperty('GEMINI_API_KEY'); // Google AI 的鑰匙
 const FILE_STORE_NAME = PROPS.getProperty('FILE_STORE_NAME'); // RAG 知識庫的名稱 (必須先執行 RAG.js 建立)
+const LIFF_URL = 'https://liff.line.me/2008834693-FtenJAlU'; // 卡片設定頁 (LIFF)
 
 /**
  * 1. 程式入口點 (doPost)
@@ -33,14 +37,37 @@ function doPost(e) {
         // 判斷請求來源：
         // A. 如果是 LINE 傳來的訊息 (會有 events 欄位)
         if (json.events) {
+            // 驗證 X-Line-Signature (lineSignature.js)，擋掉冒充 LINE 的請求
+            const verification = verifyLineWebhook(e);
+            if (!verification.verified) {
+                console.warn(`[${verification.reason}] 拒絕未通過簽章驗證的 webhook 請求`);
+                logRejectedWebhook(json, verification.reason);
+                return ContentService.createTextOutput(JSON.stringify({ success: false, msg: "Invalid signature" })).setMimeType(ContentService.MimeType.JSON);
+            }
+
             const events = json.events;
             // 一次可能會收到多則訊息，所以用迴圈處理
             for (let i = 0; i < events.length; i++) {
                 const event = events[i];
-                // 我們只處理「文字訊息」
-                if (event.type === 'message' && event.message.type === 'text') {
-                    handleMessage(event);
+
+                // LINE 重送的事件 (eventDedup.js)：已經處理過或正在處理就直接略過，不重複扣次數也不重複回答
+                if (isDuplicateWebhookEvent(event)) continue;
+
+                // 處理文字 / 圖片 / 位置 / 貼圖訊息 (清單定義在 messageContent.js)
+                if (event.type === 'message' && SUPPORTED_MESSAGE_TYPES.includes(event.message.type)) {
+                    // 非同步模式 (asyncReply.js)：先排隊 + 顯示讀取動畫，立刻回 200 給 LINE
+                    if (isAsyncReplyMode()) {
+                        enqueueWebhookEvent(event);
+                    } else {
+                        handleMessage(event);
+                    }
+                } else if (WEBHOOK_EVENT_HANDLERS[event.type]) {
+                    // 加好友 / 封鎖 / 加入群組 / Flex 按鈕 (postback)，交給 eventHandlers.js 處理
+                    WEBHOOK_EVENT_HANDLERS[event.type](event);
                 }
+
+                // 處理完才標記完成；中途掛掉的事件，LINE 重送時還能重新處理
+                markWebhookEventDone(event);
             }
             // 回傳 200 OK 給 LINE，告訴它我們收到了
             return ContentService.createTextOutput(JSON.stringify({ status: 'success' })).setMimeType(ContentService.MimeType.JSON);
@@ -66,7 +93,7 @@ function getQuickReplies() {
         items: [
             {
                 type: "action", // 按鈕類型：動作
-                action: { type: "uri", label: "💳 卡片設定", uri: "https://liff.line.me/2008834693-FtenJAlU" } // 點了開網頁
+                action: { type: "uri", label: "💳 卡片設定", uri: LIFF_URL } // 點了開網頁
             },
             {
                 type: "action",
@@ -81,9 +108,11 @@ function getQuickReplies() {
  * 這裡邏輯最重要：過濾髒話 -> 查資料庫 -> 問 AI -> 回覆用戶 -> 記錄對話
  */
 function handleMessage(event) {
-    const userText = event.message.text.trim(); // 用戶說的話 (去除前後空白)
+    const messageKind = event.message.type; // 訊息類型: text / image / location / sticker
+    let userText = describeLineMessage(event.message); // 用戶說的話 (非文字訊息會轉成查詢文字)
     const replyToken = event.replyToken; // 回信用的票根 (LINE規定回信要帶這張票)
     const userId = event.source.userId; // 用戶的 LINE ID (一串亂碼)
+    const chatId = event.source.groupId || event.source.roomId || userId; // replyToken 過期時改用 Push 的對象
 
     // 🆕 對話紀錄用變數
     const startTime = new Date().getTime();
@@ -93,8 +122,19 @@ function handleMessage(event) {
     let filterResult = 'SAFE';   // 過濾結果
     let aiModel = null;          // AI 模型
     let apiSource = null;        // API 來源 (FREE/PAID)
+    let aiMeta = null;           // 主要 AI 呼叫的 tokens / RAG 命中 / 估算成本 (modelChain.js)
+    let filterMeta = null;       // Lite Filter 呼叫的模型 / tokens / 估算成本
+    let visionMeta = null;       // 收據辨識 (Gemini Vision) 呼叫的模型 / tokens / 估算成本
+    let promptVersion = null;    // 人設 Prompt 版本 (promptTemplates.js 的 A/B 分配)
+    let cacheHit = false;        // 答案是否來自快取 (answerCache.js)
+    let rateCharged = false;     // 這則訊息是否已計入使用次數
     let userContextData = null;  // 用戶持卡資料
     let recommendations = null;  // AI 推薦結果
+    let parsedQuery = null;      // 金額 / 商家 / 支付方式解析結果 (queryParser.js)
+
+    // 🆕 多輪對話記憶 (conversation.js)，sessionId 會記錄在 chat_logs
+    const conversation = typeof getConversation === 'function' ? getConversation(userId) : null;
+    const sessionId = conversation ? conversation.sessionId : null;
 
     // 🆕 取得用戶 LINE 顯示名稱 (背景執行，不阻塞主流程)
     if (typeof getLineDisplayName === 'function') {
@@ -103,7 +143,7 @@ function handleMessage(event) {
 
     // 🆕 輔助函式：記錄對話並回覆
     const replyAndLog = (messages) => {
-        replyLine(replyToken, messages, getQuickReplies());
+        sendLine(replyToken, chatId, messages, getQuickReplies());
 
         // 計算回應時間
         const responseTimeMs = new Date().getTime() - startTime;
@@ -114,91 +154,126 @@ function handleMessage(event) {
                 userId: userId,
                 displayName: displayName || 'Unknown',
                 userMessage: userText,
+                messageKind: messageKind,
+                sessionId: sessionId,
                 botResponse: botResponse,
                 responseType: responseType,
                 filterResult: filterResult,
                 aiModel: aiModel,
                 apiSource: apiSource,
+                usage: aiMeta ? aiMeta.usage : null,
+                ragHit: aiMeta ? aiMeta.ragHit : null,
+                filterMeta: filterMeta,
+                estimatedCostUsd: sumEstimatedCost([aiMeta, filterMeta, visionMeta]),
+                promptVersion: promptVersion,
+                cacheHit: cacheHit,
                 responseTimeMs: responseTimeMs,
                 userContext: userContextData,
-                recommendations: recommendations
+                recommendations: recommendations,
+                parsedQuery: parsedQuery
             });
         }
     };
 
-    // === 0. 基礎指令處理 ===
-    if (userText === "意見回饋") {
-        botResponse = "請直接輸入您的建議內容，我們會記錄下來做為改進參考！";
-        responseType = "COMMAND";
-        replyAndLog([{ type: 'text', text: botResponse }]);
+    // === 0. 文字指令 (意見回饋 / 額度 / 重新開始 / 指令...，註冊表在 commands.js) ===
+    // 指令不經過 AI，也不計入使用次數
+    const command = messageKind === 'text' && typeof findCommand === 'function' ? findCommand(userText, userId) : null;
+    if (command) {
+        const result = runCommand(command);
+        botResponse = result.botResponse;
+        responseType = result.responseType;
+        replyAndLog(result.messages);
         return;
     }
 
-    // === 0.05 查詢使用狀況指令 ===
-    if (userText === "額度" || userText === "剩餘次數") {
-        if (typeof getRateLimitStatus === 'function') {
-            const status = getRateLimitStatus(userId);
-            const vipBadge = status.isVip ? " 👑 VIP" : "";
-            botResponse = `📊 您的使用狀況${vipBadge}
-
-✅ 已使用：${status.used} / ${status.limit} 次
-⏳ 重置時間：約 ${status.resetInMinutes} 分鐘後
-
-${status.isVip ? "🎉 您是 VIP 會員，享有超大額度！" : "💡 升級 VIP 可享無限查詢！"}`;
-        } else {
-            botResponse = "⚠️ 系統暫時無法查詢額度";
-        }
-        responseType = "COMMAND";
+    // === 0.05 意見回饋內容 (上一則輸入「意見回饋」，feedback.js) ===
+    // 直接存進 Supabase，不經過 AI，也不計入使用次數
+    if (messageKind === 'text' && typeof isAwaitingFeedback === 'function' && isAwaitingFeedback(userId)) {
+        botResponse = submitFeedback({ userId: userId, displayName: displayName, sessionId: sessionId, content: userText });
+        responseType = "FEEDBACK";
         replyAndLog([{ type: 'text', text: botResponse }]);
         return;
     }
 
-    // === 0.1 Rate Limit 檢查（使用次數限制）===
-    if (typeof checkRateLimit === 'function') {
-        const rateResult = checkRateLimit(userId);
+    // === 0.08 重複濫用暫停 (liteFilter.js) ===
+    // 暫停期間不呼叫 AI，也不計入使用次數
+    if (typeof getMuteStatus === 'function') {
+        const mute = getMuteStatus(userId);
+        if (mute.muted) {
+            console.log(`[MUTED] 用戶 ${userId} 暫停中 (剩 ${mute.remainingMinutes} 分鐘)`);
+            botResponse = getMuteMessage(mute.remainingMinutes);
+            responseType = "MUTED";
+            filterResult = "MUTED";
+            replyAndLog([{ type: 'text', text: botResponse }]);
+            return;
+        }
+    }
 
-        if (!rateResult.allowed) {
-            console.log(`[RATE_LIMIT] 用戶 ${userId} 已達上限 (${rateResult.limit}次/2小時)`);
+    // 被攔截時累計次數，達門檻就在回覆後面加上暫停通知
+    const noteAbuse = () => {
+        if (typeof recordAbuse !== 'function') return;
+        const abuse = recordAbuse(userId);
+        if (abuse.muted) {
+            botResponse += "\n\n" + getMuteMessage(abuse.muteMinutes);
+        }
+    };
 
-            // 產生限制訊息
-            botResponse = typeof getRateLimitMessage === 'function'
-                ? getRateLimitMessage(rateResult)
-                : `⏰ 您已達到使用上限，請 ${rateResult.resetInMinutes} 分鐘後再試。`;
+    // 🆕 輔助函式：回覆「已達使用上限」並記錄
+    const replyRateLimited = (rateResult) => {
+        console.log(`[RATE_LIMIT] 用戶 ${userId} 已達上限 (${rateResult.limit}次/2小時)`);
 
-            responseType = "RATE_LIMITED";
-            filterResult = "RATE_LIMITED";
+        // 產生限制訊息
+        botResponse = typeof getRateLimitMessage === 'function'
+            ? getRateLimitMessage(rateResult)
+            : `⏰ 您已達到使用上限，請 ${rateResult.resetInMinutes} 分鐘後再試。`;
 
-            // 回覆並加上 VIP 升級按鈕
-            const messages = [{ type: 'text', text: botResponse }];
+        responseType = "RATE_LIMITED";
+        filterResult = "RATE_LIMITED";
 
-            // 可以加入 VIP 升級的 Quick Reply 按鈕
-            replyLine(replyToken, messages, {
-                items: [
-                    { type: "action", action: { type: "uri", label: "💎 了解 VIP 方案", uri: "https://liff.line.me/2008834693-FtenJAlU" } },
-                    { type: "action", action: { type: "message", label: "📊 查詢額度", text: "額度" } }
-                ]
+        // 回覆並加上 VIP 升級按鈕
+        const messages = [{ type: 'text', text: botResponse }];
+
+        // 可以加入 VIP 升級的 Quick Reply 按鈕
+        sendLine(replyToken, chatId, messages, {
+            items: [
+                { type: "action", action: { type: "uri", label: "💎 了解 VIP 方案", uri: LIFF_URL } },
+                { type: "action", action: { type: "message", label: "📊 查詢額度", text: "額度" } }
+            ]
+        });
+
+        // 記錄被限制的請求
+        if (typeof logChatToSupabase === 'function') {
+            logChatToSupabase({
+                userId: userId,
+                displayName: displayName || 'Unknown',
+                userMessage: userText,
+                messageKind: messageKind,
+                sessionId: sessionId,
+                botResponse: '[RATE_LIMITED]',
+                responseType: 'RATE_LIMITED',
+                filterResult: 'RATE_LIMITED'
             });
+        }
+    };
 
-            // 記錄被限制的請求
-            if (typeof logChatToSupabase === 'function') {
-                logChatToSupabase({
-                    userId: userId,
-                    displayName: displayName || 'Unknown',
-                    userMessage: userText,
-                    botResponse: '[RATE_LIMITED]',
-                    responseType: 'RATE_LIMITED',
-                    filterResult: 'RATE_LIMITED'
-                });
-            }
-            return;
+    // === 0.1 Rate Limit 檢查（使用次數限制）===
+    // 在第一個 Gemini 呼叫 (收據辨識 / Lite Filter / 主要回答) 之前計次，每則訊息只計一次
+    // 只有本地快篩放行、答案快取又命中的訊息完全不呼叫 Gemini，才不計入
+    const chargeRateLimit = () => {
+        if (rateCharged || typeof checkRateLimit !== 'function') return true;
+        const rateResult = checkRateLimit(userId);
+        if (!rateResult.allowed) {
+            replyRateLimited(rateResult);
+            return false;
         }
+        rateCharged = true;
 
         // 顯示剩餘次數提醒（當剩餘 2 次以下時）
         if (rateResult.remaining <= 2 && !rateResult.isVip) {
             console.log(`[RATE_LIMIT] 用戶 ${userId} 剩餘 ${rateResult.remaining} 次`);
         }
-    }
-
+        return true;
+    };
 
     // === 0.1 髒話與敏感詞過濾 (優先檢查！) ===
     // 呼叫 src/blocklist.js 裡面的 findBlockWord 函式檢查
@@ -209,49 +284,79 @@ ${status.isVip ? "🎉 您是 VIP 會員，享有超大額度！" : "💡 升級
             botResponse = "建議您別這樣對待機器人";
             responseType = "ABUSE";
             filterResult = "BLOCKLIST";
+            noteAbuse();
             replyAndLog([{ type: 'text', text: botResponse }]);
             return;
         }
     }
 
-    // === 🟢 開發者測試用指令 (一般用戶用不到) ===
-    // 讓開發者輸入 "test" 或 "ad" 來測試卡片樣式
-    const cmd = userText.toLowerCase();
-    if (cmd === "測試廣告" || cmd === "ad") {
-        responseType = "TEST";
-        if (typeof getRecommendationFlex === 'function') {
-            const mockData = {
-                user_best: { card_name: "測試卡 A", reward_rate: "3%", reason: "這是測試用的" },
-                user_second: { card_name: "測試卡 B", reward_rate: "2%", reason: "這也是測試" },
-                global_best: { card_name: "全域神卡", reward_rate: "5%", reason: "無敵強" }
-            };
-            const flexMsg = getRecommendationFlex(mockData);
-            botResponse = "[Flex Message: 測試廣告]";
-            replyAndLog([flexMsg]);
-        } else {
-            botResponse = "⚠️ 系統錯誤：找不到 flexMessage.js。";
+    // === 0.15 收據圖片辨識 (Gemini Vision → 商家 + 金額) ===
+    if (messageKind === 'image') {
+        if (!chargeRateLimit()) return;
+        const receipt = extractReceiptQuery(event.message.id);
+        visionMeta = receipt.meta;
+        if (!receipt.query) {
+            botResponse = "📷 看不太出這張圖片的消費資訊～\n\n可以拍清楚一點的收據或發票，或直接輸入「商家 + 金額」，例如：「全聯 $1200」";
+            responseType = "CHITCHAT";
             replyAndLog([{ type: 'text', text: botResponse }]);
+            return;
         }
-        return;
+        userText = receipt.query;
     }
 
-    // === 0.2 AI 語意過濾 (第二道防線：Gemini Lite) ===
-    console.log(`[Timer] Start Lite Filter`);
-    const safetyCheck = callGeminiLiteFilter(userText);
-    console.log(`[Timer] Lite Filter Done (${new Date().getTime() - startTime}ms): ${safetyCheck}`);
+    // === 0.18 Prompt Injection 偵測 (promptGuard.js) ===
+    // 收據辨識出的商家名稱也來自用戶，所以放在圖片轉文字之後
+    // 啟發式規則難免誤判正常問題，命中不累計濫用次數 (不會因此被暫停)
+    if (typeof detectPromptInjection === 'function') {
+        const injection = detectPromptInjection(userText);
+        if (injection) {
+            console.log(`[PROMPT_INJECTION] 命中規則: ${injection}, 用戶: ${userId}`);
+            botResponse = getInjectionRejectMessage();
+            responseType = "REJECTED";
+            filterResult = "PROMPT_INJECTION";
+            replyAndLog([{ type: 'text', text: botResponse }]);
+            return;
+        }
+    }
 
-    if (safetyCheck !== "SAFE") {
-        console.log(`[${safetyCheck}] Lite Filter 攔截, 用戶: ${userId}`);
-        filterResult = safetyCheck;
-        responseType = safetyCheck;
-        botResponse = safetyCheck === "ABUSE" ? "⚠️ 建議您別這樣對待機器人" : "⚠️ 系統無法理解您的輸入，請輸入明確的問題。";
-        replyAndLog([{ type: 'text', text: botResponse }]);
-        return;
+    // === 0.2 AI 語意過濾 (第二道防線：Gemini Lite，liteFilter.js) ===
+    // 放在查 Supabase 之前，垃圾訊息不必多跑一趟資料庫
+    // 圖片 / 位置 / 貼圖的文字由系統產生，不需要再審查
+    if (messageKind === 'text') {
+        // 本地快篩放行的不呼叫 AI；要問 Gemini Lite 就先計次 (被攔截的訊息也算一次)
+        if (classifyLocally(userText) !== 'SAFE' && !chargeRateLimit()) return;
+
+        console.log(`[Timer] Start Lite Filter`);
+        const filter = callGeminiLiteFilter(userText);
+        const safetyCheck = filter.verdict;
+        filterMeta = filter.meta;
+        console.log(`[Timer] Lite Filter Done (${new Date().getTime() - startTime}ms): ${safetyCheck} (${filter.source}${filter.confidence != null ? ', ' + filter.confidence : ''})`);
+
+        // 過濾服務失敗且設定為 CLOSED：不放行，也不算用戶濫用
+        if (safetyCheck === "UNAVAILABLE") {
+            filterResult = "FILTER_UNAVAILABLE";
+            responseType = "ERROR";
+            botResponse = "⚠️ 系統忙碌中，請稍後再試一次。";
+            replyAndLog([{ type: 'text', text: botResponse }]);
+            return;
+        }
+
+        if (safetyCheck !== "SAFE") {
+            console.log(`[${safetyCheck}] Lite Filter 攔截, 用戶: ${userId}`);
+            filterResult = safetyCheck;
+            responseType = safetyCheck;
+            botResponse = safetyCheck === "ABUSE" ? "⚠️ 建議您別這樣對待機器人" : "⚠️ 系統無法理解您的輸入，請輸入明確的問題。";
+            noteAbuse();
+            replyAndLog([{ type: 'text', text: botResponse }]);
+            return;
+        }
     }
 
     try {
         // === 1. 去 Supabase 查這個人的設定 ===
-        let userContext = "【用戶尚未設定卡片，請假設他是新戶】";
+        let userContext = buildUserContext(null, {});
+        let rightsSwitches = {};
+        let userProfile = null;
         const dbStart = new Date().getTime();
 
         try {
@@ -259,44 +364,94 @@ ${status.isVip ? "🎉 您是 VIP 會員，享有超大額度！" : "💡 升級
             const settings = typeof getFromSupabase === 'function' ? getFromSupabase(userId) : null;
             console.log(`[Timer] Supabase Query Done (${new Date().getTime() - dbStart}ms)`);
 
-            // 如果有查到資料，且他有設定卡片
+            // 🆕 記錄用戶持卡資料 (供日誌使用)
             if (settings && settings.myWallet && settings.myWallet.length > 0) {
-                userContext = `【用戶持卡與支付設定】：\n`;
-
-                // 🆕 記錄用戶持卡資料 (供日誌使用)
                 userContextData = settings;
+            }
 
-                // 處理卡片顯示格式 (相容舊版字串與新版物件格式)
-                const formatCard = (c) => typeof c === 'string' ? c : (c.name ? `${c.bank ? c.bank + ' ' : ''}${c.name}` : JSON.stringify(c));
-
-                userContext += `- 已有卡片：${settings.myWallet.map(formatCard).join(', ')}\n`;
+            // 用戶透過 Flex 按鈕回報的權益切換 (eventHandlers.js)
+            rightsSwitches = typeof getRightsSwitches === 'function' ? getRightsSwitches(userId) : {};
+            userProfile = settings && settings.profile ? settings.profile : null;
 
-                if (settings.payMap && Object.keys(settings.payMap).length > 0) {
-                    userContext += `- 支付綁定：${JSON.stringify(settings.payMap)}\n`;
-                }
-            }
+            userContext = buildUserContext(settings, rightsSwitches);
         } catch (e) {
             console.error("Fetch User Settings Error: " + e.message);
         }
 
         // === 2. 呼叫 Gemini AI (最重要的部分) ===
-        const aiStart = new Date().getTime();
-        console.log(`[Timer] Start Gemini Main Call`);
-        const aiResponse = callGeminiJSON(userText, userContext);
-        console.log(`[Timer] Gemini Main Call Done (${new Date().getTime() - aiStart}ms). Success: ${!!aiResponse}`);
+        const history = typeof buildHistoryContents === 'function' ? buildHistoryContents(conversation) : [];
+        // 先用規則抓出金額 / 商家 / 支付方式，AI 不必自己猜
+        parsedQuery = typeof parseUserQuery === 'function' ? parseUserQuery(userText) : null;
 
-        // 🆕 記錄 AI 模型資訊
-        aiModel = 'gemini-2.5-flash';
+        // 熱門問題先查答案快取 (answerCache.js)；追問要看上下文，不走快取
+        const cacheKey = history.length === 0 && typeof buildAnswerCacheKey === 'function'
+            ? buildAnswerCacheKey(userText, userContext, userId)
+            : null;
+        let aiResponse = cacheKey ? getCachedAnswer(cacheKey) : null;
+
+        if (aiResponse) {
+            console.log(`[Cache] 答案快取命中，略過 Gemini`);
+            cacheHit = true;
+            aiModel = aiResponse.meta ? aiResponse.meta.model : null;
+            apiSource = "CACHE";
+            promptVersion = aiResponse.meta ? aiResponse.meta.promptVersion : null;
+
+            // 沒有呼叫 Gemini 就不計入使用次數 (已達上限的用戶也照常回覆)
+        } else {
+            // 確定要呼叫 Gemini 才計入使用次數 (已達上限又沒有快取答案 → 擋下)
+            if (!chargeRateLimit()) return;
+
+            const aiStart = new Date().getTime();
+            console.log(`[Timer] Start Gemini Main Call`);
+            aiResponse = callGeminiJSON(userText, userContext, history, parsedQuery, userId);
+            console.log(`[Timer] Gemini Main Call Done (${new Date().getTime() - aiStart}ms). Success: ${!!aiResponse}`);
+
+            // 🆕 記錄 AI 模型資訊 (備援鏈實際使用的模型、Key、tokens)
+            aiMeta = aiResponse ? aiResponse.meta : null;
+            aiModel = aiMeta ? aiMeta.model : null;
+            apiSource = aiMeta ? aiMeta.source : null;
+            promptVersion = aiMeta ? aiMeta.promptVersion : null;
+
+            // 存的是校正前的原始答案，命中時會再跑一次 verifyRecommendations
+            if (cacheKey && aiResponse) saveCachedAnswer(cacheKey, userText, aiResponse);
+        }
 
         // === 3. 收到 AI 回覆，決定怎麼回 LINE ===
         if (aiResponse) {
+            // 用回饋規則重新試算，校正 AI 算錯的數字與排名 (rewardEngine.js)
+            if (aiResponse.type === "QUERY" && aiResponse.recommendations && typeof verifyRecommendations === 'function') {
+                const checked = verifyRecommendations(aiResponse.recommendations, {
+                    myWallet: userContextData ? userContextData.myWallet : [],
+                    payMap: userContextData ? userContextData.payMap : {},
+                    parsedQuery: parsedQuery,
+                    rightsSwitches: rightsSwitches,
+                    mainCards: userProfile ? userProfile.mainCards : [],
+                    cardHabits: userProfile ? userProfile.cardHabits : []
+                });
+                aiResponse.recommendations = checked.recommendations;
+                if (checked.corrections.length > 0) {
+                    aiResponse.reply_text = (aiResponse.reply_text || '') + `\n\n🔧 已依回饋規則校正：\n${checked.corrections.map(c => `• ${c}`).join('\n')}`;
+                }
+            }
+
+            // 📄 每張推薦卡片附上 RAG 文件連結與佐證摘錄 (ragCitations.js)，會一併寫進 chat_logs.recommendations
+            if (aiResponse.type === "QUERY" && aiResponse.recommendations && aiResponse.citations && typeof attachRecommendationCitations === 'function') {
+                aiResponse.recommendations = attachRecommendationCitations(aiResponse.recommendations, aiResponse.citations);
+            }
+
             responseType = aiResponse.type || 'UNKNOWN';
             recommendations = aiResponse.recommendations || null;
 
+            // 記住這一輪對話，讓下一句追問 (「那如果是 $5000 呢?」) 可以接上
+            if (conversation && (aiResponse.type === "CHITCHAT" || aiResponse.type === "QUERY")) {
+                appendConversationTurn(userId, conversation, userText, aiResponse.reply_text);
+            }
+
             // A. 如果被 AI 判定為攻擊
             if (aiResponse.type === "ABUSE") {
                 botResponse = aiResponse.reply_text;
                 filterResult = "AI_ABUSE";
+                noteAbuse();
                 replyAndLog([{ type: 'text', text: botResponse }]);
             }
             // B. 如果是閒聊 (早安、你好...)
@@ -306,6 +461,11 @@ ${status.isVip ? "🎉 您是 VIP 會員，享有超大額度！" : "💡 升級
             }
             // C. 如果是問信用卡問題 (QUERY)
             else if (aiResponse.type === "QUERY") {
+                // 記下這次推薦，讓 Flex 上的「看次選卡」按鈕可以取用
+                if (typeof saveLastRecommendations === 'function') {
+                    saveLastRecommendations(userId, aiResponse.recommendations);
+                }
+
                 // 如果 AI 有給我卡片推薦資料，我就做成漂亮的 Flex Message 卡片
                 if (typeof getRecommendationFlex === 'function' && aiResponse.recommendations) {
                     // V3: 傳入 userText 讓 Flex Message 可以用來優化 Google 搜尋關鍵字
@@ -347,264 +507,142 @@ ${status.isVip ? "🎉 您是 VIP 會員，享有超大額度！" : "💡 升級
 }
 
 /**
- * 🛠️ 通用 API 請求函式 (含 Key Failover 機制)
- * 
- * 優先使用免費 Key，遇到以下情況會自動切換至付費 Key：
- * - 429: 額度耗盡 (Quota Exceeded)
- * - 401: Key 無效 (Invalid API Key)
- * - 403: 權限不足 (Permission Denied)
- * - 500/503/504: 伺服器錯誤 (Server Error)
+ * 將用戶設定轉成 Prompt 中的【用戶背景】 (testGeminiWithMockData 也走這裡)
+ *
+ * @param {Object} settings - getFromSupabase 的結果 { myWallet, payMap, profile }
+ * @param {Object} rightsSwitches - 用戶回報的權益方案 { 卡名: 方案 }
+ * @returns {string} 用戶背景文字
  */
-function requestGeminiAPI(baseUrl, payload) {
-    const FREE_KEY = PROPS.getProperty('GEMINI_API_KEY_FREE');
-    const PAID_KEY = PROPS.getProperty('GEMINI_API_KEY');
-
-    // 🛡️ 改進 1: 檢查是否至少有一個 Key
-    if (!FREE_KEY && !PAID_KEY) {
-        console.error('❌ 錯誤：沒有設定任何 Gemini API Key！');
-        return {
-            getResponseCode: () => 500,
-            getContentText: () => JSON.stringify({ error: 'No API Key configured' }),
-            source: 'NONE'
-        };
-    }
+function buildUserContext(settings, rightsSwitches) {
+    let userContext = "【用戶尚未設定卡片，請假設他是新戶】";
 
-    // 🛡️ 改進 2: 定義需要 Failover 的錯誤碼
-    const FAILOVER_CODES = [401, 403, 429, 500, 503, 504];
+    // 如果有查到資料，且他有設定卡片
+    if (settings && settings.myWallet && settings.myWallet.length > 0) {
+        userContext = `【用戶持卡與支付設定】：\n`;
 
-    // 決定要用哪個 Key 開始嘗試
-    const primaryKey = FREE_KEY || PAID_KEY;
-    const fallbackKey = FREE_KEY ? PAID_KEY : null;
-    const primarySource = FREE_KEY ? 'FREE' : 'PAID';
+        // 處理卡片顯示格式 (相容舊版字串與新版物件格式)
+        const formatCard = (c) => typeof c === 'string' ? c : (c.name ? `${c.bank ? c.bank + ' ' : ''}${c.name}` : JSON.stringify(c));
 
-    // 1. 嘗試 Primary Key (優先免費)
-    console.log(`Trying Gemini ${primarySource} API Key...`);
-    let res = UrlFetchApp.fetch(`${baseUrl}?key=${primaryKey}`, {
-        method: 'post',
-        contentType: 'application/json',
-        payload: JSON.stringify(payload),
-        muteHttpExceptions: true
-    });
-    let source = primarySource;
-
-    // 2. 🛡️ 改進 3: 如果 Primary 失敗且有 Fallback Key，嘗試 Fallback
-    if (FAILOVER_CODES.includes(res.getResponseCode()) && fallbackKey) {
-        const errorCode = res.getResponseCode();
-        const errorMsg = {
-            401: 'API Key 無效',
-            403: '權限不足',
-            429: '額度耗盡',
-            500: '伺服器錯誤',
-            503: '服務暫時不可用',
-            504: '閘道逾時'
-        }[errorCode] || '未知錯誤';
-
-        console.warn(`⚠️ ${primarySource} API 失敗 (${errorCode}: ${errorMsg})，切換至 PAID API...`);
-
-        res = UrlFetchApp.fetch(`${baseUrl}?key=${fallbackKey}`, {
-            method: 'post',
-            contentType: 'application/json',
-            payload: JSON.stringify(payload),
-            muteHttpExceptions: true
-        });
-        source = 'PAID';
+        userContext += `- 已有卡片：${settings.myWallet.map(formatCard).join(', ')}\n`;
 
-        // 如果 Fallback 也失敗，記錄錯誤
-        if (FAILOVER_CODES.includes(res.getResponseCode())) {
-            console.error(`❌ PAID API 也失敗 (${res.getResponseCode()})，全部 Key 都無法使用！`);
+        // 行動支付綁定：例如在全聯用全支付付款時，實際刷的是綁在全支付上的那張卡
+        const bindings = Object.keys(settings.payMap || {})
+            .filter(channel => (settings.payMap[channel] || []).length > 0)
+            .map(channel => `${channel} 綁 ${settings.payMap[channel].join('、')}`);
+        if (bindings.length > 0) {
+            userContext += `- 行動支付綁定：${bindings.join('；')}\n`;
         }
     }
 
-    // 如果只有 PAID_KEY 且失敗，記錄警告
-    if (!FREE_KEY && FAILOVER_CODES.includes(res.getResponseCode())) {
-        console.error(`❌ PAID API 失敗 (${res.getResponseCode()})，且沒有備用 Key！`);
+    if (rightsSwitches && Object.keys(rightsSwitches).length > 0) {
+        userContext += `- 目前權益方案：${Object.keys(rightsSwitches).map(card => `${card} → ${rightsSwitches[card]}`).join(', ')}\n`;
     }
 
-    // 回傳 Wrapper 物件，讓外面可以知道是哪一個 Source，同時保留 response 方法
-    return {
-        getResponseCode: () => res.getResponseCode(),
-        getContentText: () => res.getContentText(),
-        source: source
-    };
+    // LIFF 設定頁的個人偏好：主力卡片、用卡習慣、生日月份、痛點 (userProfile.js)
+    if (settings && settings.profile && typeof buildProfileContext === 'function') {
+        userContext += buildProfileContext(settings.profile);
+    }
+    return userContext;
 }
 
 /**
  * 3. 呼叫 Google Gemini AI 的函式
- * 這裡負責組裝 Prompt (提示詞)，並透過 API 發送給 Google
+ * 透過 buildGeminiPayload 組裝 Prompt (提示詞)，並透過 API 發送給 Google
+ *
+ * @param {string} question - 用戶輸入
+ * @param {string} userContext - 用戶持卡背景
+ * @param {Array} history - 先前的對話 (Gemini contents 格式，見 conversation.js)
+ * @param {Object} parsedQuery - 規則解析出的金額 / 商家 / 支付方式 (queryParser.js)
+ * @param {string} userId - LINE User ID (決定人設 Prompt 的 A/B 版本，promptTemplates.js)
  */
-function callGeminiJSON(question, userContext) {
+function callGeminiJSON(question, userContext, history = [], parsedQuery = null, userId = null) {
     // 改為在 requestGeminiAPI 內部檢查 Key
     // if (!GEMINI_API_KEY) { console.error("No API Key"); return null; }
 
     // 設定要使用的 AI 模型 (可參考 學習筆記/AI_Models.md)
     // gemini-2.5-flash: 速度快、便宜，適合一般對話
+    // 實際順序由 GEMINI_MODEL_CHAIN 決定 (modelChain.js)，這裡是未設定時的預設
     const modelName = 'gemini-2.5-flash';
-    // URL 不帶 Key (由 helper 決定)
-    const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
-
-    // 這是給 AI 的指令 (Prompt Engineering)
-    // 告訴它扮演什麼角色、怎麼處理用戶資料、以及輸出的格式
-    const prompt = `你是「卡衛」，一位專業、親切且有點俏皮的台灣信用卡理財顧問。
-你的口頭禪是用 Emoji 開頭，語氣像朋友聊天，但資訊專業精準。
-
-【你的思考邏輯 (Chain of Thought)】：
-
-1. **意圖判斷**：
-   - 用戶在打招呼 / 問你是誰 / 閒聊 → 回傳 **CHITCHAT**
-   - 用戶問消費場景 (超商/網購/加油/餐廳...) 或金額 → 回傳 **QUERY**
-   - 用戶感謝/道別 → 回傳 **CHITCHAT** 並溫馨回應
-
-2. **CHITCHAT 閒聊回覆規則 (重要！)**：
-   閒聊時，除了回應用戶，**必須同時引導他使用正確功能**。
-   
-   【範例對照表】：
-   | 用戶說 | AI 回覆 |
-   |--------|---------|
-   | 你好 / 嗨 | 👋 嗨嗨！我是卡衛，你的刷卡小幫手！\\n\\n試著告訴我你要去哪消費，例如：「超商」「網購 $3000」「加油」，我幫你找回饋最高的卡！ |
-   | 你是誰 | 🤖 我是卡衛！專門幫你找「刷哪張卡最划算」的 AI 顧問～\\n\\n你可以問我：「7-11」「全聯」「出國刷卡」之類的問題喔！ |
-   | 謝謝 | 😊 不客氣！有任何刷卡問題隨時問我～ |
-   | 早安/晚安 | 🌞 早安！/🌙 晚安！今天有什麼消費計畫嗎？告訴我場景，幫你省錢！ |
-   | 你會什麼 | 💡 我可以幫你：\\n1. 分析「哪張卡」在某場景回饋最高\\n2. 計算實際能賺多少回饋\\n3. 提醒你要切換哪個權益方案\\n\\n試著問：「網購」「加油 $1500」！ |
-   
-   **注意**：閒聊回覆要有溫度，但最後一定要帶到「怎麼使用我」。
-
-3. **QUERY 資訊檢索邏輯**：
-   - 優先查閱我提供的 File Search 知識庫 (信用卡權益文件)。
-   - **若 RAG 停用或查無資料**，請發揮你的專業知識，根據「台灣市場 2024-2025 年」現況回答。
-   - 絕對禁止捏造不存在的卡片或回饋數據。
-
-4. **QUERY 策略分析**：
-   - **User Best (用戶首選)**：從用戶持有的卡片中，找出該場景回饋最高的。
-   - **User Second (用戶次選)**：第二高回饋的卡片。
-   - **Global Best (全域推薦)**：如果用戶的卡都不適合，推薦全台灣該場景最強的卡。
-
-5. **回覆風格 (QUERY)**：
-   - **Card Data (JSON)**：
-     - \`reward_rate\`：回饋率，例如 "3%"。
-     - \`reward_amount\`：(選填) 若有金額，計算實際回饋 (純數字如 "150")；無金額則 null。
-     - \`rights_switch\`：(選填) 需切換的權益方案名稱 (如 "集精選")；否則 null。
-   - **Text Detail (reply_text)**：
-     - 用**最簡短的條列式**說明。
-     - 格式：\`[卡名]：$金額 或 回饋率% (理由)\`
-     - **禁止廢話**：不要寫「綜合以上...」「針對您的需求...」。
-     - 若需切換權益，加上 ⚠️ 提醒。
-     - 若有回饋上限，提醒用戶。
-   - 範例：
-     1. 國泰 CUBE：$300 (集精選 3%)
-        ⚠️ 記得先切換權益！
-     2. 玉山 U Bear：$100 (1%)
-
-【輸出 JSON 結構】：
-{
-  "type": "CHITCHAT" | "QUERY",
-  "reply_text": "你的回覆內容",
-  "recommendations": {
-    "user_best": { "card_name": "卡名", "reward_rate": "3%", "reward_amount": "300", "rights_switch": "集精選", "reason": "理由" },
-    "user_second": { ... },
-    "global_best": { ... }
-  }
-}
-*注意：CHITCHAT 時 recommendations 可以是 null 或空物件。*
 
-【用戶背景】：
-${userContext}
-
-【用戶輸入】：
-"${question}"`;
-
-    // 準備傳送給 Google 的資料包 (Payload)
-    const payload = {
-        "contents": [{ "parts": [{ "text": prompt }] }],
-        "generationConfig": { "response_mime_type": "application/json" } // 指定要回傳 JSON
-    };
-
-    // 🟢 RAG 設定：告訴 AI 可以去哪裡查文件
-    // 如果有設定 FILE_STORE_NAME，就掛載 File Search 工具
-    /* 
-       2026-02-08 修改：已修復 404/400 問題，重新啟用 RAG
-    */
-    const ENABLE_RAG = true;
-
-    if (ENABLE_RAG && FILE_STORE_NAME) {
-        // v1beta API 建議使用 camelCase 
-        // 參考 Python SDK: file_search_store_names -> fileSearchStoreNames
-        payload.tools = [{
-            fileSearch: {
-                fileSearchStoreNames: [FILE_STORE_NAME]
-            }
-        }];
-    } else {
-        console.warn("⚠️ RAG 已停用或未設定，AI 將依賴內建知識。");
-    }
+    const built = buildGeminiPayload(question, userContext, history, parsedQuery, userId);
+    const payload = built.payload;
+    console.log(`[Prompt] ${PERSONA_PROMPT_NAME}@${built.promptVersion}`);
 
     try {
-        // 發送請求 (使用 Failover Helper)
-        const res = requestGeminiAPI(baseUrl, payload);
-        const data = JSON.parse(res.getContentText());
+        // 發送請求 (依備援鏈切換模型與 Key)
+        let res = requestGeminiAPI(modelName, payload);
+        let ragFailed = false;
 
         if (res.getResponseCode() !== 200) {
-            const errorBody = res.getContentText();
-            console.error(`Gemini API Error (Status ${res.getResponseCode()}): ${errorBody}`);
+            console.error(`Gemini API Error (Status ${res.getResponseCode()}): ${res.getContentText()}`);
 
             // 🛡️ Failover: RAG 404/400 Retry
-            if (payload.tools && (res.getResponseCode() === 404 || res.getResponseCode() === 400)) {
-                console.warn("⚠️ RAG 調用失敗 (404/400)，嘗試降級為純文字模式...");
-                delete payload.tools;
-
-                // Retry 也走 Helper
-                const retryRes = requestGeminiAPI(baseUrl, payload);
-
-                if (retryRes.getResponseCode() === 200) {
-                    const retryData = JSON.parse(retryRes.getContentText());
-                    let text = retryData.candidates[0].content.parts[0].text;
-                    text = text.replace(/```json/g, "").replace(/```/g, "").trim();
-                    const result = JSON.parse(text);
-
-                    // Add Emoji for Retry
-                    const emoji = retryRes.source === 'FREE' ? "🥸 " : "🤔 ";
-                    if (result.reply_text) result.reply_text = emoji + result.reply_text + "\n(⚠️ RAG 連線失敗，僅提供一般建議)";
-                    return result;
-                } else {
-                    console.error(`Retry without RAG Failed: ${retryRes.getContentText()}`);
-                }
+            if (!payload.tools || (res.getResponseCode() !== 404 && res.getResponseCode() !== 400)) {
+                return null;
             }
-            return null;
-        }
 
-        // 取出 AI 的回話內容
-        let text = data.candidates[0].content.parts[0].text;
+            console.warn("⚠️ RAG 調用失敗 (404/400)，嘗試降級為純文字模式...");
+            delete payload.tools;
+            ragFailed = true;
 
-        // 🛡️ 修正：移除可能的 Markdown 程式碼區塊標記
-        text = text.replace(/```json/g, "").replace(/```/g, "").trim();
-        const result = JSON.parse(text);
+            // Retry 也走 Helper
+            res = requestGeminiAPI(modelName, payload);
+            if (res.getResponseCode() !== 200) {
+                console.error(`Retry without RAG Failed: ${res.getContentText()}`);
+                return null;
+            }
+        }
+
+        let data = JSON.parse(res.getContentText());
+        let usage = addGeminiUsage(data);
+
+        // 🛡️ 解析 + 修復 + 驗證 JSON (geminiJson.js)，不合格就帶著錯誤訊息重問一次
+        let parsed = parseGeminiCandidate(data);
+        if (parsed.error) {
+            console.warn(`⚠️ Gemini 回覆不合格 (${parsed.error})，重新要求一次`);
+            payload.contents = payload.contents.concat([
+                { "role": "model", "parts": [{ "text": parsed.raw || "(空白)" }] },
+                { "role": "user", "parts": [{ "text": buildJsonCorrectionPrompt(parsed.error) }] }
+            ]);
+
+            const fixRes = requestGeminiAPI(modelName, payload);
+            if (fixRes.getResponseCode() === 200) {
+                res = fixRes;
+                data = JSON.parse(fixRes.getContentText());
+                usage = addGeminiUsage(data, usage);
+                parsed = parseGeminiCandidate(data);
+            }
+            if (parsed.error) {
+                console.error(`Gemini JSON Retry Failed: ${parsed.error}\n${parsed.raw}`);
+                return null;
+            }
+        }
+        const result = parsed.result;
+        let ragHit = false;
 
-        // Add Emoji for Main Request
+        // Add Emoji (FREE / PAID)
         const emoji = res.source === 'FREE' ? "🥸 " : "🤔 ";
-        if (result.reply_text) {
+        if (ragFailed) {
+            result.reply_text = emoji + result.reply_text + "\n(⚠️ RAG 連線失敗，僅提供一般建議)";
+        } else {
             result.reply_text = emoji + result.reply_text;
 
-            // 📚 處理 RAG 引用來源 (Grounding Metadata)
-            if (data.candidates[0].groundingMetadata && data.candidates[0].groundingMetadata.groundingChunks) {
-                const chunks = data.candidates[0].groundingMetadata.groundingChunks;
-                let sources = [];
-
-                chunks.forEach((chunk, i) => {
-                    if (chunk.retrievedContext) {
-                        const title = chunk.retrievedContext.title || '相關文件';
-                        // 簡單去重：如果標題還沒出現過
-                        if (!sources.includes(title)) {
-                            sources.push(title);
-                        }
-                    }
-                });
-
-                if (sources.length > 0) {
-                    result.reply_text += `\n\n📚 參考來源：\n` + sources.map((s, i) => `${i + 1}. ${s}`).join('\n');
-                    console.log(`✅ RAG 命中！引用來源: ${sources.join(', ')}`);
-                }
+            // 📚 處理 RAG 引用來源 (Grounding Metadata)：換成原始檔名與 Drive 連結 (ragCitations.js)
+            // 每張卡的佐證摘錄要等 verifyRecommendations 校正完才附上 (handleMessage)
+            const citations = extractRagCitations(data.candidates[0]);
+            if (citations.length > 0) {
+                result.citations = citations;
+                result.reply_text += formatCitationText(citations);
+                console.log(`✅ RAG 命中！引用來源: ${citations.map(c => c.name).join(', ')}`);
+                ragHit = true;
             }
         }
 
+        // 實際回應的模型與 Key (備援鏈可能換過)、tokens、RAG 命中，供 chat_logs 記錄
+        result.meta = buildGeminiMeta(res, usage, ragHit);
+        result.meta.promptVersion = built.promptVersion;
+        result.meta.ragFailed = ragFailed;
+
         return result; // 轉成 JSON 物件回傳
     } catch (e) {
         console.error(`Gemini Call Failed: ${e.message}`);
@@ -613,53 +651,65 @@ ${userContext}
 }
 
 /**
- * 4. 第二道防線：AI 語意過濾 (Lite Filter)
- * 使用最便宜的 gemini-2.5-flash-lite 進行快速審查
- * 目的：攔截隱喻攻擊、騷擾或無意義內容，保護主模型資源
+ * 組裝 callGeminiJSON 的請求內容 (testGeminiWithMockData 也走這裡，確保測試與正式環境一致)
+ *
+ * @param {string} question - 用戶輸入
+ * @param {string} userContext - 用戶持卡背景 (buildUserContext)
+ * @param {Array} history - 先前的對話
+ * @param {Object} parsedQuery - 規則解析結果
+ * @param {string} userId - LINE User ID
+ * @returns {Object} { payload, promptVersion }
  */
-function callGeminiLiteFilter(text) {
-    if (!GEMINI_API_KEY) return "SAFE"; // 若無 Key，預設放行以免卡住
-
-    const modelName = 'gemini-2.5-flash-lite'; // 極低成本模型
-    const baseUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent`;
+function buildGeminiPayload(question, userContext, history = [], parsedQuery = null, userId = null) {
+    // 規則解析結果 (沒有解析到任何東西就不放進 Prompt)
+    const parsedText = typeof formatParsedQuery === 'function' ? formatParsedQuery(parsedQuery) : '';
+    const parsedSection = parsedText ? `\n\n【系統解析】(程式從用戶輸入抓出的資訊，計算 reward_amount 請以此金額為準)：\n${parsedText}` : '';
 
-    const prompt = `Classify the following text into one of these categories:
-1. "ABUSE": Profanity, hate speech, insults, or malicious attacks.
-2. "SPAM": Nonsense, random characters, or irrelevant spam.
-3. "SAFE": Legitimate questions, greetings, feedback, or shopping queries (e.g. "7-11", "pchome 1000").
+    // 這是給 AI 的指令 (Prompt Engineering)：告訴它扮演什麼角色、怎麼處理用戶資料、以及輸出的格式
+    // 內容是有版本的範本 (promptTemplates.js)，依用戶分配 A/B 版本
+    // 指令放在 system_instruction，用戶輸入另外放在 <user_input> 裡 (promptGuard.js)，避免被用戶輸入改寫
+    const persona = buildPersonaPrompt(userId);
 
-Text: "${text}"
-Answer (only one word):`;
+    const contextText = `【用戶背景】：\n${userContext}${parsedSection}\n\n【用戶輸入】：`;
 
+    // 準備傳送給 Google 的資料包 (Payload)
     const payload = {
-        "contents": [{ "parts": [{ "text": prompt }] }],
+        "system_instruction": { "parts": [{ "text": persona.text }] },
+        // 先放先前對話，再放本次問題 (用戶背景與用戶輸入分成兩個 part)
+        "contents": history.concat([{ "role": "user", "parts": [{ "text": contextText }, buildUserInputPart(question)] }]),
         "generationConfig": {
-            "temperature": 0, // 降低隨機性，追求穩定分類
-            "maxOutputTokens": 10
+            "response_mime_type": "application/json", // 指定要回傳 JSON
+            "response_schema": GEMINI_RESPONSE_SCHEMA // 固定結構 (geminiJson.js)
         }
     };
 
-    try {
-        const res = requestGeminiAPI(baseUrl, payload);
-
-        if (res.getResponseCode() !== 200) return "SAFE"; // API 失敗則放行
-
-        const data = JSON.parse(res.getContentText());
-        const result = data.candidates?.[0]?.content?.parts?.[0]?.text?.trim().toUpperCase();
-
-        // 只針對明確的惡意回傳，模糊地帶一律放行
-        if (result === "ABUSE" || result === "SPAM") return result;
-        return "SAFE";
+    // 🟢 RAG 設定：告訴 AI 可以去哪裡查文件
+    // 如果有設定 FILE_STORE_NAME，就掛載 File Search 工具
+    /* 
+       2026-02-08 修改：已修復 404/400 問題，重新啟用 RAG
+    */
+    const ENABLE_RAG = true;
 
-    } catch (e) {
-        console.error("Lite Filter Error: " + e.message);
-        return "SAFE"; // 發生錯誤預設放行
+    if (ENABLE_RAG && FILE_STORE_NAME) {
+        // v1beta API 建議使用 camelCase 
+        // 參考 Python SDK: file_search_store_names -> fileSearchStoreNames
+        payload.tools = [{
+            fileSearch: {
+                fileSearchStoreNames: [FILE_STORE_NAME]
+            }
+        }];
+    } else {
+        console.warn("⚠️ RAG 已停用或未設定，AI 將依賴內建知識。");
     }
+
+    return { payload: payload, promptVersion: persona.version };
 }
 
 /**
  * 工具函式：回覆 LINE 訊息
  * 這是最後一步，把準備好的文字或卡片丟回給 LINE 伺服器
+ *
+ * @returns {boolean} 是否回覆成功 (replyToken 過期或已使用過會回傳 false)
  */
 function replyLine(replyToken, messages, quickReply = null) {
     // 加上快速回覆按鈕
@@ -670,12 +720,58 @@ function replyLine(replyToken, messages, quickReply = null) {
     const payload = { replyToken: replyToken, messages: messages };
 
     // 呼叫 LINE Messaging API
-    UrlFetchApp.fetch('https://api.line.me/v2/bot/message/reply', {
+    const res = UrlFetchApp.fetch('https://api.line.me/v2/bot/message/reply', {
         method: 'post',
         headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + CHANNEL_ACCESS_TOKEN },
         payload: JSON.stringify(payload),
         muteHttpExceptions: true
     });
+
+    if (res.getResponseCode() !== 200) {
+        console.warn(`replyLine Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 工具函式：主動推播 LINE 訊息 (Push API)
+ * 不需要 replyToken，但會消耗每月的推播額度
+ *
+ * @param {string} to - userId / groupId / roomId
+ * @returns {boolean} 是否推播成功
+ */
+function pushLine(to, messages, quickReply = null) {
+    if (quickReply && messages.length > 0) {
+        messages[messages.length - 1].quickReply = quickReply;
+    }
+
+    const res = UrlFetchApp.fetch('https://api.line.me/v2/bot/message/push', {
+        method: 'post',
+        headers: { 'Content-Type': 'application/json', 'Authorization': 'Bearer ' + CHANNEL_ACCESS_TOKEN },
+        payload: JSON.stringify({ to: to, messages: messages }),
+        muteHttpExceptions: true
+    });
+
+    if (res.getResponseCode() !== 200) {
+        console.error(`pushLine Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 工具函式：先用 replyToken 回覆，失敗 (Gemini 太慢導致 token 過期) 再改用 Push
+ *
+ * @param {string} replyToken - 回信用的票根
+ * @param {string} to - Push 的對象 (userId / groupId / roomId)
+ * @returns {boolean} 是否送達
+ */
+function sendLine(replyToken, to, messages, quickReply = null) {
+    if (replyToken && replyLine(replyToken, messages, quickReply)) return true;
+
+    console.warn(`⚠️ replyToken 無法使用，改用 Push 傳送給 ${to}`);
+    return pushLine(to, messages, quickReply);
 }
 
 /**
@@ -706,67 +802,18 @@ function testGeminiWithMockData() {
 
     const userMessage = "超商"; // 模擬用戶問題
 
-    // 雖然這裡不能直接呼叫 combinePrompt (因為它在 doPost 內部或是 helper)
-    // 但我們可以查看 combinePrompt 邏輯並在此模擬
-    // 假設我們想測試 Prompt 建立是否正確，將邏輯複製過來：
-
     console.log(`[Test Mock] 用戶: ${userMessage}`);
 
-    // 模擬 RAG 搜尋結果 (因為本機無法真的去搜 File Search)
-    const ragContext = `
-(模擬 RAG 搜尋結果)
-1. 國泰 CUBE 卡：切換「集精選」方案，於指定超商消費享 3% 小樹點回饋。回饋無上限。
-2. 玉山 U Bear 卡：指定網路消費 3%，一般消費 1%。超商由橘子支付綁定可享... (略)
-3. 聯邦吉鶴卡：國內一般消費 1.5% - 2%...
-    `.trim();
-
-    // 這裡重現 combinePrompt 的組裝邏輯 (簡化版)
-    const prompt = `
-你是一個專業的信用卡理財顧問 (CardWay AI)。
-現在有一位用戶詢問：「${userMessage}」
-
-【用戶持有的卡片與設定】：
-${JSON.stringify(mockData, null, 2)}
-
-【參考資料 (RAG 搜尋結果)】：
-${ragContext}
-
-請根據【參考資料】與【用戶持有的卡片】，推薦最適合的刷卡方式。
-請務必遵守以下「回覆格式」規則：
-
-1. **語氣**：專業、客觀、像個精明的理財管家。
-2. **優先權**：
-   - 最優先推薦【用戶持有的卡片】中回饋最高的。
-   - 若用戶沒有好卡，再推薦【全域最佳】的卡片 (RAG 裡找到的最優解)。
-3. **JSON 輸出**：
-   - 請回傳嚴格的 JSON 格式 (不要 Markdown)。
-   - **recommendations** 欄位：
-     - \`reward_amount\`：(選填) 若用戶有輸入金額，請計算實際回饋額；無金額則回傳 null。
-     - \`rights_switch\`：(選填) 若該卡片需要切換權益才能拿到此回饋 (如 CUBE、太陽玫瑰)，請填寫「方案名稱」(e.g. "集精選")；否則 null。
-     - \`official_link\`：(選填) 該卡片或權益的官方網頁連結。
-   - **Text Detail (reply_text)**：
-     - 請用**最簡短的條列式**說明計算結果。
-     - 每一點只要寫：\`[卡名]：$金額 (理由)\`。
-     - **不要寫廢話**。
-     - 範例：
-       1. 國泰 CUBE：$300 (切換集精選 3%)
-       2. 全域神卡：$500 (新戶加碼 5%)
-
-【輸出 JSON 結構】：
-{
-  "type": "CHITCHAT" | "QUERY",
-  "reply_text": "1. 國泰 CUBE：$300 (需切換集精選)\\n2. 玫瑰卡：$100 (一般消費 1%)",
-  "recommendations": {
-    "user_second": { "card_name": "...", "reward_rate": "...", "reward_amount": "...", "rights_switch": "..." }, 
-    "global_best": { ... }, 
-    "user_best": { ... }
-  }
-}
-*注意：請盡量填滿 user_best, user_second, global_best 三個欄位。*
-`;
+    // 與 handleMessage 走同一套組裝邏輯 (buildUserContext → buildGeminiPayload → promptTemplates.js)
+    // 本機無法真的去搜 File Search，這裡只檢查 Prompt，不呼叫 API
+    const userContext = buildUserContext(mockData, {});
+    const parsedQuery = typeof parseUserQuery === 'function' ? parseUserQuery(userMessage) : null;
+    const built = buildGeminiPayload(userMessage, userContext, [], parsedQuery, 'U_MOCK_TEST');
 
-    console.log("------- [Mock Test] 生成的 Prompt -------");
-    console.log(prompt);
+    console.log(`------- [Mock Test] 生成的 Prompt (${PERSONA_PROMPT_NAME}@${built.promptVersion}) -------`);
+    console.log(built.payload.system_instruction.parts[0].text);
+    console.log("------- [Mock Test] 用戶訊息 -------");
+    built.payload.contents.forEach(c => c.parts.forEach(part => console.log(part.text)));
     console.log("-----------------------------------------");
     console.log("👉 請將此函式貼到 GAS 編輯器執行，檢查 Log 中的 Prompt 是否符合預期。");
 }
@@ -59,14 +59,23 @@ function getLineDisplayName(userId) {
  * @param {string} logData.userId - LINE User ID
  * @param {string} logData.displayName - LINE 顯示名稱
  * @param {string} logData.userMessage - 用戶輸入的訊息
+ * @param {string} logData.messageKind - 訊息類型 (text/image/location/sticker)
+ * @param {string} logData.sessionId - 對話 Session ID (多輪對話記憶)
  * @param {string} logData.botResponse - 機器人的回覆
  * @param {string} logData.responseType - 回覆類型 (CHITCHAT/QUERY/ABUSE/SPAM/ERROR)
- * @param {string} logData.filterResult - 過濾結果 (SAFE/ABUSE/SPAM)
+ * @param {string} logData.filterResult - 過濾結果 (SAFE/ABUSE/SPAM/BLOCKLIST/PROMPT_INJECTION/MUTED/RATE_LIMITED/INVALID_SIGNATURE...)
  * @param {string} logData.aiModel - AI 模型名稱
- * @param {string} logData.apiSource - API 來源 (FREE/PAID)
+ * @param {string} logData.apiSource - API 來源 (FREE/PAID/CACHE)
+ * @param {Object} logData.usage - 主要 AI 呼叫的 tokens { promptTokens, outputTokens, totalTokens } (可選)
+ * @param {boolean} logData.ragHit - 回覆是否引用 RAG 文件 (可選)
+ * @param {Object} logData.filterMeta - Lite Filter 呼叫的 { model, source, usage } (可選)
+ * @param {number} logData.estimatedCostUsd - 本次所有 AI 呼叫的估算成本 (美元，可選)
+ * @param {string} logData.promptVersion - 人設 Prompt 版本 (promptTemplates.js，可選)
+ * @param {boolean} logData.cacheHit - 答案是否來自快取 (answerCache.js，可選)
  * @param {number} logData.responseTimeMs - 回應時間(毫秒)
  * @param {Object} logData.userContext - 用戶持卡設定 (可選)
- * @param {Object} logData.recommendations - AI 推薦結果 (可選)
+ * @param {Object} logData.recommendations - AI 推薦結果，含每張卡的 RAG 引用 citations (可選)
+ * @param {Object} logData.parsedQuery - 規則解析的金額 / 商家 / 支付方式 (可選)
  */
 function logChatToSupabase(logData) {
     const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
@@ -84,14 +93,27 @@ function logChatToSupabase(logData) {
             line_user_id: logData.userId || 'unknown',
             line_display_name: logData.displayName || 'Unknown',
             user_message: logData.userMessage || '',
+            message_kind: logData.messageKind || 'text',
+            session_id: logData.sessionId || null,
             bot_response: logData.botResponse || null,
             response_type: logData.responseType || 'UNKNOWN',
             filter_result: logData.filterResult || 'SAFE',
             ai_model: logData.aiModel || null,
             api_source: logData.apiSource || null,
+            prompt_tokens: logData.usage ? logData.usage.promptTokens : null,
+            output_tokens: logData.usage ? logData.usage.outputTokens : null,
+            total_tokens: logData.usage ? logData.usage.totalTokens : null,
+            rag_hit: typeof logData.ragHit === 'boolean' ? logData.ragHit : null,
+            filter_model: logData.filterMeta ? logData.filterMeta.model : null,
+            filter_api_source: logData.filterMeta ? logData.filterMeta.source : null,
+            filter_tokens: logData.filterMeta && logData.filterMeta.usage ? logData.filterMeta.usage.totalTokens : null,
+            estimated_cost_usd: typeof logData.estimatedCostUsd === 'number' ? logData.estimatedCostUsd : null,
+            prompt_version: logData.promptVersion || null,
+            cache_hit: logData.cacheHit === true,
             response_time_ms: logData.responseTimeMs || null,
             user_context: logData.userContext || null,
-            recommendations: logData.recommendations || null
+            recommendations: logData.recommendations || null,
+            parsed_query: logData.parsedQuery || null
         };
 
         // 發送 POST 請求到 Supabase
@@ -132,11 +154,17 @@ function testChatLogger() {
         userId: 'U_TEST_12345',
         displayName: '測試用戶',
         userMessage: '超商刷什麼卡比較好？',
+        messageKind: 'text',
         botResponse: '1. 國泰 CUBE：3% (切換集精選)\n2. 玉山 U Bear：1.5%',
         responseType: 'QUERY',
         filterResult: 'SAFE',
         aiModel: 'gemini-2.5-flash',
         apiSource: 'FREE',
+        usage: { promptTokens: 1200, outputTokens: 180, totalTokens: 1380 },
+        ragHit: true,
+        filterMeta: { model: 'gemini-2.5-flash-lite', source: 'FREE', usage: { promptTokens: 60, outputTokens: 1, totalTokens: 61 } },
+        estimatedCostUsd: 0,
+        promptVersion: 'v1',
         responseTimeMs: 1234,
         userContext: { myWallet: [{ bank: '013 國泰世華', name: 'CUBE卡' }] },
         recommendations: { user_best: { card_name: 'CUBE卡', reward_rate: '3%' } }
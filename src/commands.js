@@ -0,0 +1,213 @@
+/**
+ * 文字指令路由模組 (Command Router)
+ *
+ * 所有「不需要問 AI」的文字指令都註冊在這裡，handleMessage 只要呼叫 findCommand 查表即可。
+ * 新增指令：在 CORE_COMMANDS 加一筆定義 (或由其他模組提供 getXxxCommands 並加進 getCommandRegistry)
+ *
+ * 指令定義格式：
+ * {
+ *   name: 'quota',                         // 指令代號 (日誌/除錯用)
+ *   triggers: {
+ *     exact: ['額度'],                      // 完全相符 (英文不分大小寫)
+ *     prefix: ['/vip '],                    // 開頭相符，其餘文字放在 ctx.args
+ *     regex: [/^查詢(.+)$/]                 // 正規表示式，結果放在 ctx.match
+ *   },
+ *   adminOnly: false,                      // true = 只有管理員能用 (非管理員視為一般訊息)
+ *   hidden: false,                         // true = 不顯示在「指令」清單
+ *   help: '查詢剩餘使用次數',               // 「指令」清單中的說明
+ *   usage: ['/vip add U…'],                // (選填) 清單中顯示的用法，regex 指令請務必提供
+ *   handler: (ctx) => ({ text: '...' })    // 回傳 { text } 或 { messages, botResponse, responseType }
+ * }
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 指令定義 ====================
+
+const CORE_COMMANDS = [
+    {
+        name: 'help',
+        triggers: { exact: ['指令', 'help', '幫助'] },
+        help: '列出所有可用的指令',
+        handler: (ctx) => ({ text: buildCommandHelp(ctx.userId) })
+    },
+    {
+        name: 'feedback',
+        triggers: { exact: ['意見回饋'] },
+        help: '留下你對卡衛的建議',
+        handler: (ctx) => ({ text: startFeedback(ctx.userId) })
+    },
+    {
+        name: 'quota',
+        triggers: { exact: ['額度', '剩餘次數'] },
+        help: '查詢剩餘的查詢次數',
+        handler: (ctx) => ({ text: buildQuotaText(ctx.userId) })
+    },
+    {
+        name: 'reset_conversation',
+        triggers: { exact: ['重新開始'] },
+        help: '清除對話記憶，重新開始',
+        handler: (ctx) => {
+            if (typeof resetConversation === 'function') {
+                resetConversation(ctx.userId);
+            }
+            return { text: "🔄 好的，我們重新開始！\n\n告訴我你要去哪消費，例如：「超商」「網購 $3000」「加油」" };
+        }
+    },
+    {
+        // 開發者測試用：輸入 "ad" 或 "測試廣告" 來測試卡片樣式
+        name: 'test_flex',
+        triggers: { exact: ['測試廣告', 'ad'] },
+        hidden: true,
+        help: '測試推薦卡片樣式',
+        handler: () => buildTestFlexReply()
+    }
+];
+
+// ==================== 核心函式 ====================
+
+/**
+ * 取得所有已註冊的指令
+ * 其他模組的指令 (例如 admin.js 的管理員指令) 也在這裡合併
+ *
+ * @returns {Array} 指令定義清單
+ */
+function getCommandRegistry() {
+    let commands = CORE_COMMANDS;
+    if (typeof getAdminCommands === 'function') {
+        commands = commands.concat(getAdminCommands());
+    }
+    return commands;
+}
+
+/**
+ * 找出符合用戶輸入的指令
+ *
+ * @param {string} text - 用戶輸入 (已 trim)
+ * @param {string} userId - LINE User ID (判斷管理員權限用)
+ * @returns {Object|null} { command, ctx }，沒有符合的指令則回傳 null
+ */
+function findCommand(text, userId) {
+    const lower = text.toLowerCase();
+    const isAdmin = typeof isAdminUser === 'function' && isAdminUser(userId);
+    const commands = getCommandRegistry();
+
+    for (let i = 0; i < commands.length; i++) {
+        const command = commands[i];
+        if (command.adminOnly && !isAdmin) continue;
+
+        const triggers = command.triggers || {};
+        const ctx = { userId: userId, userText: text, args: '', match: null };
+
+        if ((triggers.exact || []).some(t => t.toLowerCase() === lower)) {
+            return { command: command, ctx: ctx };
+        }
+
+        const prefix = (triggers.prefix || []).find(p => lower.indexOf(p.toLowerCase()) === 0);
+        if (prefix) {
+            ctx.args = text.substring(prefix.length).trim();
+            return { command: command, ctx: ctx };
+        }
+
+        for (const regex of (triggers.regex || [])) {
+            const match = text.match(regex);
+            if (match) {
+                ctx.match = match;
+                return { command: command, ctx: ctx };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 執行指令並統一回傳格式
+ *
+ * @param {Object} found - findCommand 的結果
+ * @returns {Object} { messages, botResponse, responseType }
+ */
+function runCommand(found) {
+    const result = found.command.handler(found.ctx) || {};
+    const messages = result.messages || [{ type: 'text', text: result.text || '' }];
+
+    return {
+        messages: messages,
+        botResponse: result.botResponse || result.text || null,
+        responseType: result.responseType || 'COMMAND'
+    };
+}
+
+// ==================== 指令實作 ====================
+
+/**
+ * 「指令」/「help」：依註冊表自動產生說明
+ *
+ * @param {string} userId - LINE User ID (管理員會額外看到管理指令)
+ * @returns {string} 說明文字
+ */
+function buildCommandHelp(userId) {
+    const isAdmin = typeof isAdminUser === 'function' && isAdminUser(userId);
+    const commands = getCommandRegistry().filter(c => !c.hidden);
+
+    const describe = (c) => {
+        const triggers = c.triggers || {};
+        const examples = c.usage || (triggers.exact || []).concat((triggers.prefix || []).map(p => p.trim() + ' …'));
+        return `• ${examples.map(t => `「${t}」`).join(' / ')}\n  ${c.help}`;
+    };
+
+    let text = `📖 卡衛指令清單\n\n${commands.filter(c => !c.adminOnly).map(describe).join('\n')}`;
+
+    if (isAdmin) {
+        const adminCommands = commands.filter(c => c.adminOnly);
+        if (adminCommands.length > 0) {
+            text += `\n\n🔧 管理員指令\n\n${adminCommands.map(describe).join('\n')}`;
+        }
+    }
+
+    return text + `\n\n💡 其他文字都會交給 AI 幫你找最划算的卡！`;
+}
+
+/**
+ * 「額度」：查詢使用狀況 (不增加計數)
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {string} 回覆文字
+ */
+function buildQuotaText(userId) {
+    if (typeof getRateLimitStatus !== 'function') {
+        return "⚠️ 系統暫時無法查詢額度";
+    }
+
+    const status = getRateLimitStatus(userId);
+    const vipBadge = status.isVip ? " 👑 VIP" : "";
+    return `📊 您的使用狀況${vipBadge}
+
+✅ 已使用：${status.used} / ${status.limit} 次
+⏳ 重置時間：約 ${status.resetInMinutes} 分鐘後
+
+${status.isVip ? "🎉 您是 VIP 會員，享有超大額度！" : "💡 升級 VIP 可享無限查詢！"}`;
+}
+
+/**
+ * 「ad」：以假資料產生推薦 Flex Message，測試卡片樣式
+ *
+ * @returns {Object} 指令結果
+ */
+function buildTestFlexReply() {
+    if (typeof getRecommendationFlex !== 'function') {
+        return { text: "⚠️ 系統錯誤：找不到 flexMessage.js。", responseType: "TEST" };
+    }
+
+    const mockData = {
+        user_best: { card_name: "測試卡 A", reward_rate: "3%", reason: "這是測試用的" },
+        user_second: { card_name: "測試卡 B", reward_rate: "2%", reason: "這也是測試" },
+        global_best: { card_name: "全域神卡", reward_rate: "5%", reason: "無敵強" }
+    };
+
+    return {
+        messages: [getRecommendationFlex(mockData)],
+        botResponse: "[Flex Message: 測試廣告]",
+        responseType: "TEST"
+    };
+}
@@ -0,0 +1,99 @@
+/**
+ * 多輪對話記憶模組 (Conversation Memory)
+ *
+ * 每次呼叫 callGeminiJSON 原本都是獨立的，「那如果是 $5000 呢?」「第二張呢」這類追問會失去上下文。
+ * 這裡用 CacheService 保存每位用戶最近 N 輪對話，作為 Gemini payload 的前置 contents。
+ *
+ * - 每段對話有一個 sessionId，會記錄在 chat_logs.session_id
+ * - 超過 ttlSeconds 沒有互動，或用戶輸入「重新開始」，就開啟新的對話
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const CONVERSATION_CONFIG = {
+    maxTurns: 5,           // 保留最近 5 輪 (一問一答算一輪)
+    ttlSeconds: 30 * 60,   // 30 分鐘沒互動就重新開始
+    maxTextLength: 500     // 每則訊息最多保留的字數 (避免 payload 與快取過大)
+};
+
+// ==================== 核心函式 ====================
+
+/**
+ * 取得用戶目前的對話 (沒有則建立新的 session)
+ * 新 session 會立刻存起來：AI 回答前被攔截、限流或執行指令的訊息也會記在同一個 session_id
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {Object} { sessionId: string, turns: Array<{role: 'user'|'model', text: string}> }
+ */
+function getConversation(userId) {
+    const cached = CacheService.getScriptCache().get(`conversation_${userId}`);
+    if (cached) {
+        try {
+            return JSON.parse(cached);
+        } catch (e) {
+            console.warn('getConversation: 快取格式錯誤，重新開始對話');
+        }
+    }
+    const conversation = { sessionId: Utilities.getUuid(), turns: [] };
+    saveConversation(userId, conversation);
+    return conversation;
+}
+
+/**
+ * 新增一輪對話 (用戶問題 + 機器人回覆)，並只保留最近 maxTurns 輪
+ *
+ * @param {string} userId - LINE User ID
+ * @param {Object} conversation - getConversation 取得的對話
+ * @param {string} userText - 用戶輸入
+ * @param {string} botText - 機器人回覆
+ */
+function appendConversationTurn(userId, conversation, userText, botText) {
+    const limit = CONVERSATION_CONFIG.maxTextLength;
+    conversation.turns.push(
+        { role: 'user', text: String(userText || '').substring(0, limit) },
+        { role: 'model', text: String(botText || '').substring(0, limit) }
+    );
+    conversation.turns = conversation.turns.slice(-CONVERSATION_CONFIG.maxTurns * 2);
+    saveConversation(userId, conversation);
+}
+
+/**
+ * 儲存對話 (重新計算 ttlSeconds)
+ *
+ * @param {string} userId - LINE User ID
+ * @param {Object} conversation - { sessionId, turns }
+ */
+function saveConversation(userId, conversation) {
+    try {
+        CacheService.getScriptCache().put(`conversation_${userId}`, JSON.stringify(conversation), CONVERSATION_CONFIG.ttlSeconds);
+    } catch (e) {
+        console.warn('saveConversation Error: ' + e.message);
+    }
+}
+
+/**
+ * 清除對話記憶 (「重新開始」指令)
+ *
+ * @param {string} userId - LINE User ID
+ */
+function resetConversation(userId) {
+    CacheService.getScriptCache().remove(`conversation_${userId}`);
+}
+
+/**
+ * 將對話轉成 Gemini API 的 contents 格式
+ *
+ * @param {Object} conversation - getConversation 取得的對話
+ * @returns {Array} 例如 [{ role: 'user', parts: [{ text: '超商' }] }, { role: 'model', parts: [...] }]
+ */
+function buildHistoryContents(conversation) {
+    if (!conversation || !conversation.turns) return [];
+    // 先前的用戶輸入一樣包在 <user_input> 裡 (promptGuard.js)
+    return conversation.turns.map(turn => ({
+        role: turn.role,
+        parts: [turn.role === 'user' && typeof buildUserInputPart === 'function' ? buildUserInputPart(turn.text) : { text: turn.text }]
+    }));
+}
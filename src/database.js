@@ -0,0 +1,361 @@
+/**
+ * 用戶設定資料存取模組 (Database)
+ *
+ * 1. getFromSupabase：LINE Bot 推薦前讀取用戶的持卡設定
+ * 2. handleCardWayAPI：LIFF 網頁的 get_settings / save_settings API (由 doPost 轉交)
+ *
+ * 每個請求都必須帶 LIFF idToken，以 LINE 驗證後的 User ID 為準 (liffAuth.js)，
+ * 驗證失敗回傳 AUTH_REQUIRED，LIFF 會重新執行 liff.login() 換一個新的 token
+ *
+ * 資料存在 Supabase user_wallets 表 (schema 見 db/user_wallets.sql)。
+ * 儲存使用樂觀鎖：LIFF 讀取時拿到 version，儲存時帶回來，
+ * 若資料庫的 version 已經變了 (例如手機、電腦同時開著 LIFF)，就回傳 VERSION_CONFLICT 而不是直接覆蓋
+ *
+ * API 回應格式 (LIFF 的 loadSettings / saveAll 依此判斷)：
+ * - 成功：{ success: true, settings } 或 { success: true, version }
+ * - 失敗：{ success: false, code, msg }
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const USER_ID_PATTERN = /^U[0-9a-f]{32}$/;
+const MAX_SETTINGS_BYTES = 50 * 1024; // 單一用戶設定上限 (避免被塞爆資料庫)
+
+// 設定檔的結構定義 (JSON Schema 子集：type / required / properties / items / maxItems / maxLength ...)
+const SETTINGS_SCHEMA = {
+    myWallet: {
+        type: 'array',
+        maxItems: 50,
+        items: {
+            type: 'object',
+            required: ['name'],
+            properties: {
+                bank: { type: 'string', maxLength: 50 },
+                name: { type: 'string', minLength: 1, maxLength: 50 },
+                org: { type: 'string', maxLength: 20 }
+            }
+        }
+    },
+    payMap: {
+        type: 'object',
+        maxProperties: 30,
+        additionalProperties: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 50 } }
+    },
+    profile: {
+        type: 'object',
+        properties: {
+            displayName: { type: 'string', maxLength: 100 },
+            gender: { type: 'string', maxLength: 10 },
+            birthMonth: { type: ['string', 'number'], maxLength: 10 },
+            cardHabits: { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 100 } },
+            mainCards: { type: 'array', maxItems: 3, items: { type: 'string', maxLength: 50 } },
+            wantedFeatures: { type: 'string', maxLength: 500 },
+            supportPrice: { type: ['number', 'boolean'] }, // 舊版 LIFF 存的是 true / false
+            painPoints: { type: 'string', maxLength: 500 }
+        }
+    }
+};
+
+// ==================== LINE Bot 讀取 ====================
+
+/**
+ * 讀取用戶設定
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {Object|null} { myWallet, payMap, profile, version }，查無資料或失敗回傳 null
+ */
+function getFromSupabase(userId) {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY || !userId) return null;
+
+    try {
+        const query = `line_user_id=eq.${encodeURIComponent(userId)}&select=my_wallet,pay_map,profile,version&limit=1`;
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/user_wallets?${query}`, {
+            method: 'get',
+            headers: { 'apikey': SUPABASE_KEY, 'Authorization': 'Bearer ' + SUPABASE_KEY },
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() !== 200) {
+            console.error(`❌ getFromSupabase Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+            return null;
+        }
+
+        const rows = JSON.parse(res.getContentText());
+        if (rows.length === 0) return null;
+
+        return {
+            myWallet: rows[0].my_wallet || [],
+            payMap: rows[0].pay_map || {},
+            profile: rows[0].profile || {},
+            version: rows[0].version || 1
+        };
+    } catch (e) {
+        console.error('getFromSupabase Error: ' + e.message);
+        return null;
+    }
+}
+
+// ==================== LIFF API ====================
+
+/**
+ * LIFF 網頁 API 入口 (doPost 收到 json.action 時呼叫)
+ *
+ * @param {Object} e - doPost 的事件物件
+ * @returns {TextOutput} JSON 回應
+ */
+function handleCardWayAPI(e) {
+    let json;
+    try {
+        json = JSON.parse(e.postData.contents);
+    } catch (err) {
+        return apiResponse(apiError('INVALID_REQUEST', '請求格式錯誤'));
+    }
+
+    if (!json.userId || !USER_ID_PATTERN.test(json.userId)) {
+        return apiResponse(apiError('INVALID_REQUEST', '無效的 User ID'));
+    }
+
+    // 不相信前端傳來的 userId：以 ID Token 驗證出來的 sub 為準
+    const auth = verifyLiffIdToken(json.idToken);
+    if (!auth.verified) {
+        if (auth.reason === 'VERIFY_UNAVAILABLE') {
+            return apiResponse(apiError('AUTH_UNAVAILABLE', '暫時無法驗證登入狀態，請稍後再試'));
+        }
+        return apiResponse(apiError('AUTH_REQUIRED', '登入已過期，請重新登入'));
+    }
+    if (auth.userId !== json.userId) {
+        console.warn(`🚫 [${json.action}] userId 與 ID Token 不符：${json.userId} ≠ ${auth.userId}`);
+        return apiResponse(apiError('AUTH_REQUIRED', '登入身分不符，請重新登入'));
+    }
+    const userId = auth.userId;
+
+    switch (json.action) {
+        case 'get_settings': {
+            const settings = getFromSupabase(userId);
+            // 新用戶沒有資料：回傳空設定，version 0 代表「尚未建立」
+            return apiResponse({ success: true, settings: settings || { myWallet: [], payMap: {}, profile: {}, version: 0 } });
+        }
+        case 'save_settings':
+            return apiResponse(saveSettings(userId, json));
+        default:
+            return apiResponse(apiError('UNKNOWN_ACTION', `未知的 action: ${json.action}`));
+    }
+}
+
+/**
+ * 驗證並儲存用戶設定
+ *
+ * @param {string} userId - LINE User ID
+ * @param {Object} json - LIFF 傳來的 { myWallet, payMap, profile, version }
+ * @returns {Object} API 結果
+ */
+function saveSettings(userId, json) {
+    const settings = {
+        myWallet: json.myWallet || [],
+        payMap: json.payMap || {},
+        profile: json.profile || {}
+    };
+
+    const error = validateSettings(settings);
+    if (error) {
+        console.warn(`[save_settings] ${userId} 設定格式錯誤：${error}`);
+        return apiError('INVALID_SETTINGS', `設定格式錯誤：${error}`);
+    }
+
+    // 舊版 LIFF 不會帶 version：以資料庫目前版本為準 (等同直接覆蓋)
+    let version = json.version;
+    if (typeof version !== 'number') {
+        const current = getFromSupabase(userId);
+        version = current ? current.version : 0;
+        console.warn(`[save_settings] ${userId} 未帶 version，改用資料庫版本 ${version}`);
+    }
+
+    return upsertUserSettings(userId, settings, version);
+}
+
+/**
+ * 寫入 user_wallets (樂觀鎖)
+ * - version 0：新用戶，INSERT (已存在會撞 UNIQUE → 衝突)
+ * - version N：只更新 version = N 的那一筆並改成 N + 1 (沒有更新到任何資料 → 衝突)
+ *
+ * @param {string} userId - LINE User ID
+ * @param {Object} settings - 已驗證的 { myWallet, payMap, profile }
+ * @param {number} version - LIFF 讀取時的版本
+ * @returns {Object} API 結果
+ */
+function upsertUserSettings(userId, settings, version) {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        return apiError('DB_ERROR', '伺服器尚未設定資料庫');
+    }
+
+    const row = {
+        my_wallet: settings.myWallet,
+        pay_map: settings.payMap,
+        profile: settings.profile,
+        version: version + 1,
+        updated_at: new Date().toISOString()
+    };
+
+    const isInsert = version === 0;
+    const url = isInsert
+        ? `${SUPABASE_URL}/rest/v1/user_wallets`
+        : `${SUPABASE_URL}/rest/v1/user_wallets?line_user_id=eq.${encodeURIComponent(userId)}&version=eq.${version}`;
+
+    if (isInsert) row.line_user_id = userId;
+
+    try {
+        const res = UrlFetchApp.fetch(url, {
+            method: isInsert ? 'post' : 'patch',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': SUPABASE_KEY,
+                'Authorization': 'Bearer ' + SUPABASE_KEY,
+                'Prefer': 'return=representation'
+            },
+            payload: JSON.stringify(row),
+            muteHttpExceptions: true
+        });
+
+        const code = res.getResponseCode();
+        const updated = (code === 200 || code === 201) ? JSON.parse(res.getContentText()) : null;
+
+        if (updated && updated.length > 0) {
+            console.log(`✅ [save_settings] ${userId} 已儲存 (version ${row.version})`);
+            return { success: true, version: row.version };
+        }
+
+        // INSERT 撞到 UNIQUE (409) 或 PATCH 沒有符合的版本 (200 + 空陣列)
+        if (code === 409 || (updated && updated.length === 0)) {
+            console.warn(`⚠️ [save_settings] ${userId} 版本衝突 (client version ${version})`);
+            return apiError('VERSION_CONFLICT', '設定已在其他裝置更新，請重新載入後再儲存');
+        }
+
+        console.error(`❌ save_settings Failed (${code}): ${res.getContentText()}`);
+        return apiError('DB_ERROR', `資料庫寫入失敗 (HTTP ${code})`);
+    } catch (e) {
+        console.error('upsertUserSettings Error: ' + e.message);
+        return apiError('DB_ERROR', '資料庫連線失敗：' + e.message);
+    }
+}
+
+// ==================== 格式驗證 ====================
+
+/**
+ * 驗證用戶設定
+ *
+ * @param {Object} settings - { myWallet, payMap, profile }
+ * @returns {string|null} 錯誤訊息，格式正確回傳 null
+ */
+function validateSettings(settings) {
+    const json = JSON.stringify(settings);
+    if (unescape(encodeURIComponent(json)).length > MAX_SETTINGS_BYTES) {
+        return '設定資料過大';
+    }
+
+    for (const key of Object.keys(SETTINGS_SCHEMA)) {
+        const error = validateAgainstSchema(settings[key], SETTINGS_SCHEMA[key], key);
+        if (error) return error;
+    }
+    return null;
+}
+
+/**
+ * 依 schema 遞迴檢查資料
+ *
+ * @param {*} value - 要檢查的值
+ * @param {Object} schema - SETTINGS_SCHEMA 中的定義
+ * @param {string} path - 欄位路徑 (錯誤訊息用，例如 myWallet[2].name)
+ * @returns {string|null} 錯誤訊息，格式正確回傳 null
+ */
+function validateAgainstSchema(value, schema, path) {
+    const types = [].concat(schema.type);
+    const actualType = Array.isArray(value) ? 'array' : (value === null ? 'null' : typeof value);
+    if (!types.includes(actualType)) {
+        return `${path} 應為 ${types.join(' / ')}`;
+    }
+
+    if (actualType === 'string') {
+        if (schema.minLength && value.length < schema.minLength) return `${path} 不可為空`;
+        if (schema.maxLength && value.length > schema.maxLength) return `${path} 超過 ${schema.maxLength} 字`;
+    }
+
+    if (actualType === 'number' && !isFinite(value)) {
+        return `${path} 不是有效的數字`;
+    }
+
+    if (actualType === 'array') {
+        if (schema.maxItems && value.length > schema.maxItems) return `${path} 最多 ${schema.maxItems} 項`;
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                const error = validateAgainstSchema(value[i], schema.items, `${path}[${i}]`);
+                if (error) return error;
+            }
+        }
+    }
+
+    if (actualType === 'object') {
+        const keys = Object.keys(value);
+        if (schema.maxProperties && keys.length > schema.maxProperties) return `${path} 最多 ${schema.maxProperties} 項`;
+
+        for (const key of (schema.required || [])) {
+            if (value[key] === undefined) return `${path}.${key} 為必填`;
+        }
+
+        for (const key of keys) {
+            const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+            if (!childSchema) continue; // 未定義的欄位不檢查 (保留給新版 LIFF)
+            const error = validateAgainstSchema(value[key], childSchema, `${path}.${key}`);
+            if (error) return error;
+        }
+    }
+
+    return null;
+}
+
+// ==================== 回應格式 ====================
+
+/**
+ * 產生錯誤結果
+ *
+ * @param {string} code - 錯誤代碼 (INVALID_REQUEST / AUTH_REQUIRED / AUTH_UNAVAILABLE / INVALID_SETTINGS / VERSION_CONFLICT / DB_ERROR / UNKNOWN_ACTION)
+ * @param {string} msg - 顯示給用戶的訊息
+ * @returns {Object} { success: false, code, msg }
+ */
+function apiError(code, msg) {
+    return { success: false, code: code, msg: msg };
+}
+
+/**
+ * 包成 ContentService JSON 回應
+ *
+ * @param {Object} result - API 結果
+ * @returns {TextOutput}
+ */
+function apiResponse(result) {
+    return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(ContentService.MimeType.JSON);
+}
+
+// ==================== 測試函式 ====================
+
+/**
+ * 測試設定格式驗證 (在 GAS 編輯器中手動執行)
+ */
+function testValidateSettings() {
+    const base = { myWallet: [{ bank: '國泰世華', name: 'CUBE卡' }], payMap: { 'LINE Pay': ['CUBE卡'] } };
+    [
+        { label: '新版 supportPrice (金額)', profile: { supportPrice: 99 }, expectOk: true },
+        { label: '舊版 supportPrice (布林)', profile: { supportPrice: true }, expectOk: true },
+        { label: 'supportPrice 為字串', profile: { supportPrice: '99' }, expectOk: false },
+        { label: '主力卡片超過 3 張', profile: { mainCards: ['A', 'B', 'C', 'D'] }, expectOk: false }
+    ].forEach(c => {
+        const error = validateSettings(Object.assign({}, base, { profile: c.profile }));
+        console.log(`${!error === c.expectOk ? '✅' : '❌'} ${c.label} → ${error || 'OK'}`);
+    });
+}
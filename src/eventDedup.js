@@ -0,0 +1,75 @@
+/**
+ * Webhook 事件去重模組 (Event Deduplication)
+ *
+ * GAS 回應太慢時 (Lite Filter + Supabase + Gemini 串行呼叫)，LINE 會重送同一個事件，
+ * 造成「重複回答」與「Rate Limit 重複扣次數」。
+ * 這裡用 webhookEventId 記錄事件的處理狀態，重送的事件直接回 200 略過：
+ * - 開始處理時標記為「處理中」，只保留 GAS 單次執行上限 (6 分鐘)，原始事件還在跑時重送的事件會被略過
+ * - 處理完 (doPost 回覆 / 排進佇列後) 才標記為「已完成」，保留 6 小時
+ * 執行中途逾時或掛掉時不會寫入「已完成」，處理中的標記過期後，LINE 之後的重送會重新處理
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+const EVENT_DEDUP_TTL = 6 * 60 * 60; // 已處理事件保留 6 小時 (CacheService 上限，秒)
+const EVENT_CLAIM_TTL = 6 * 60;      // 處理中的標記保留 6 分鐘 (GAS 單次執行上限，秒)
+
+/**
+ * 檢查事件是否已處理過或正在處理；都不是則標記為處理中
+ *
+ * 用 ScriptLock 包住「讀取 + 寫入」，避免原始事件與重送事件同時進來時都判斷為新事件
+ *
+ * @param {Object} event - LINE webhook 事件
+ * @returns {boolean} true = 重複事件，應略過
+ */
+function isDuplicateWebhookEvent(event) {
+    const eventId = event.webhookEventId;
+    const isRedelivery = !!(event.deliveryContext && event.deliveryContext.isRedelivery);
+
+    // 舊版 webhook 沒有 webhookEventId，無法判斷，一律當作新事件
+    if (!eventId) return false;
+
+    const cache = CacheService.getScriptCache();
+    const key = getWebhookEventKey(eventId);
+    const lock = LockService.getScriptLock();
+    const locked = lock.tryLock(3000);
+
+    try {
+        const status = cache.get(key);
+        if (status) {
+            console.log(`[DEDUP] 略過重複事件 ${eventId} (${status === 'done' ? '已完成' : '處理中'}, isRedelivery=${isRedelivery})`);
+            return true;
+        }
+
+        // 重送但快取裡沒有紀錄 → 代表原始事件沒有處理完 (例如 GAS 逾時前就掛了)，照常處理
+        if (isRedelivery) {
+            console.warn(`[DEDUP] 收到重送事件 ${eventId}，但查無處理紀錄，重新處理`);
+        }
+
+        cache.put(key, 'processing', EVENT_CLAIM_TTL);
+        return false;
+    } finally {
+        if (locked) lock.releaseLock();
+    }
+}
+
+/**
+ * 事件處理完成後標記為已完成 (之後的重送一律略過)
+ *
+ * @param {Object} event - LINE webhook 事件
+ */
+function markWebhookEventDone(event) {
+    if (!event.webhookEventId) return;
+    CacheService.getScriptCache().put(getWebhookEventKey(event.webhookEventId), 'done', EVENT_DEDUP_TTL);
+}
+
+/**
+ * 事件狀態的快取 key
+ *
+ * @param {string} eventId - webhookEventId
+ * @returns {string}
+ */
+function getWebhookEventKey(eventId) {
+    return `webhook_event_${eventId}`;
+}
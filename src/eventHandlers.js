@@ -0,0 +1,280 @@
+/**
+ * Webhook 事件處理模組 (Event Handlers)
+ *
+ * 處理「訊息」以外的 LINE webhook 事件：
+ * - follow：加好友 → 傳送新手引導 Flex Message (附 LIFF 卡片設定連結)
+ * - unfollow：封鎖 → 在 Supabase 標記為停用，並清除 Rate Limit 快取
+ * - join：被邀請進群組 → 自我介紹
+ * - postback：Flex 按鈕觸發的動作 (看次選卡、已切換權益...)，不需要用戶打字
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// 事件類型 → 處理函式 (doPost 會依 event.type 查表呼叫)
+const WEBHOOK_EVENT_HANDLERS = {
+    follow: handleFollowEvent,
+    unfollow: handleUnfollowEvent,
+    join: handleJoinEvent,
+    postback: handlePostbackEvent
+};
+
+// postback data 的 action → 處理函式
+// Flex 按鈕的 data 格式：action=show_second 或 action=rights_switched&card=CUBE卡&plan=集精選
+const POSTBACK_HANDLERS = {
+    show_second: handleShowSecondPostback,
+    rights_switched: handleRightsSwitchedPostback
+};
+
+// CacheService 最長只能保留 6 小時 (秒)
+const LAST_RECOMMENDATION_TTL = 6 * 60 * 60; // 最近一次推薦
+const RIGHTS_SWITCH_TTL = 6 * 60 * 60;       // 用戶回報的權益切換
+
+// ==================== 加好友 / 封鎖 / 加入群組 ====================
+
+/**
+ * 加好友 (或解除封鎖)：傳送新手引導 Flex Message
+ *
+ * @param {Object} event - LINE follow 事件
+ */
+function handleFollowEvent(event) {
+    const userId = event.source.userId;
+    setUserActiveInSupabase(userId, true);
+
+    const onboarding = {
+        type: 'flex',
+        altText: '👋 歡迎使用卡衛！先設定你的卡片，我就能幫你找回饋最高的刷法',
+        contents: {
+            type: 'bubble',
+            body: {
+                type: 'box',
+                layout: 'vertical',
+                spacing: 'md',
+                contents: [
+                    { type: 'text', text: '👋 歡迎使用卡衛！', weight: 'bold', size: 'xl' },
+                    { type: 'text', text: '我是你的刷卡小幫手，告訴我你要去哪消費，我幫你找回饋最高的卡！', wrap: true, size: 'sm', color: '#555555' },
+                    { type: 'separator' },
+                    { type: 'text', text: '① 點下方按鈕設定你持有的卡片', wrap: true, size: 'sm' },
+                    { type: 'text', text: '② 直接輸入「超商」「網購 $3000」「加油」', wrap: true, size: 'sm' },
+                    { type: 'text', text: '③ 也可以拍收據、傳位置給我', wrap: true, size: 'sm' }
+                ]
+            },
+            footer: {
+                type: 'box',
+                layout: 'vertical',
+                contents: [
+                    { type: 'button', style: 'primary', action: { type: 'uri', label: '💳 設定我的卡片', uri: LIFF_URL } }
+                ]
+            }
+        }
+    };
+
+    replyLine(event.replyToken, [onboarding], getQuickReplies());
+    logEventToSupabase(event, 'follow', '[Flex Message: 新手引導]', 'FOLLOW');
+}
+
+/**
+ * 封鎖：無法回覆，只做清理
+ *
+ * @param {Object} event - LINE unfollow 事件
+ */
+function handleUnfollowEvent(event) {
+    const userId = event.source.userId;
+    console.log(`[UNFOLLOW] 用戶 ${userId} 封鎖了機器人`);
+
+    setUserActiveInSupabase(userId, false);
+    if (typeof clearRateLimit === 'function') {
+        clearRateLimit(userId);
+    }
+}
+
+/**
+ * 被邀請進群組 / 聊天室：自我介紹
+ *
+ * @param {Object} event - LINE join 事件
+ */
+function handleJoinEvent(event) {
+    const text = `👋 大家好！我是卡衛，你們的刷卡小幫手！
+
+在群組裡直接輸入消費場景，例如「超商」「網購 $3000」「加油」，我就會推薦回饋最高的卡～
+
+💳 想要個人化推薦？請加我好友並設定卡片！`;
+    replyLine(event.replyToken, [{ type: 'text', text: text }]);
+}
+
+// ==================== Postback ====================
+
+/**
+ * Postback 分派器：解析 data 並交給對應的 POSTBACK_HANDLERS
+ *
+ * @param {Object} event - LINE postback 事件
+ */
+function handlePostbackEvent(event) {
+    const data = parsePostbackData(event.postback.data);
+    const handler = POSTBACK_HANDLERS[data.action];
+
+    if (!handler) {
+        console.warn(`[POSTBACK] 未知的 action: ${event.postback.data}`);
+        return;
+    }
+
+    const botResponse = handler(event.source.userId, data);
+    replyLine(event.replyToken, [{ type: 'text', text: botResponse }], getQuickReplies());
+    logEventToSupabase(event, 'postback', botResponse, 'POSTBACK');
+}
+
+/**
+ * 解析 postback data (URL query string 格式)
+ *
+ * @param {string} raw - 例如 "action=rights_switched&card=CUBE%E5%8D%A1"
+ * @returns {Object} 例如 { action: 'rights_switched', card: 'CUBE卡' }
+ */
+function parsePostbackData(raw) {
+    const result = {};
+    (raw || '').split('&').forEach(pair => {
+        if (!pair) return;
+        const [key, value = ''] = pair.split('=');
+        result[decodeURIComponent(key)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    });
+    return result;
+}
+
+/**
+ * 「看次選卡」：從快取取出上一次推薦的 user_second
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {string} 回覆文字
+ */
+function handleShowSecondPostback(userId) {
+    const last = getLastRecommendations(userId);
+    const second = last && last.user_second;
+
+    if (!second || !second.card_name) {
+        return "🤔 找不到上一次的推薦紀錄 (可能已過期)，請再問我一次消費場景喔！";
+    }
+
+    let text = `🥈 您的次選卡片：${second.card_name}\n回饋：${second.reward_rate || '-'}`;
+    if (second.reward_amount) text += ` (約 $${second.reward_amount})`;
+    if (second.channel) text += `\n📱 綁定 ${second.channel} 付款`;
+    if (second.rights_switch) text += `\n⚠️ 需切換權益：${second.rights_switch}`;
+    if (second.reason) text += `\n💡 ${second.reason}`;
+    return text;
+}
+
+/**
+ * 「我已切換權益」：記錄用戶目前的權益方案，之後的推薦會參考
+ *
+ * @param {string} userId - LINE User ID
+ * @param {Object} data - postback data (card, plan)
+ * @returns {string} 回覆文字
+ */
+function handleRightsSwitchedPostback(userId, data) {
+    if (!data.card || !data.plan) {
+        return "⚠️ 無法辨識要切換的卡片或方案。";
+    }
+
+    const switches = getRightsSwitches(userId);
+    switches[data.card] = data.plan;
+    CacheService.getScriptCache().put(`rights_switch_${userId}`, JSON.stringify(switches), RIGHTS_SWITCH_TTL);
+
+    return `👍 已記錄！${data.card} 目前使用「${data.plan}」方案，接下來的推薦會以此計算。`;
+}
+
+// ==================== 快取工具 ====================
+
+/**
+ * 儲存用戶最近一次的 AI 推薦結果 (供「看次選卡」等按鈕使用)
+ *
+ * @param {string} userId - LINE User ID
+ * @param {Object} recommendations - user_best / user_second / global_best
+ */
+function saveLastRecommendations(userId, recommendations) {
+    if (!recommendations) return;
+    try {
+        CacheService.getScriptCache().put(`last_rec_${userId}`, JSON.stringify(recommendations), LAST_RECOMMENDATION_TTL);
+    } catch (e) {
+        console.warn('saveLastRecommendations Error: ' + e.message);
+    }
+}
+
+/**
+ * 取得用戶最近一次的 AI 推薦結果
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {Object|null} recommendations，沒有或過期回傳 null
+ */
+function getLastRecommendations(userId) {
+    const cached = CacheService.getScriptCache().get(`last_rec_${userId}`);
+    try { return cached ? JSON.parse(cached) : null; } catch (e) { return null; }
+}
+
+/**
+ * 取得用戶回報過的權益切換 (卡名 → 方案)
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {Object} 例如 { "CUBE卡": "集精選" }
+ */
+function getRightsSwitches(userId) {
+    const cached = CacheService.getScriptCache().get(`rights_switch_${userId}`);
+    try { return cached ? JSON.parse(cached) : {}; } catch (e) { return {}; }
+}
+
+// ==================== Supabase ====================
+
+/**
+ * 更新 user_wallets 的啟用狀態 (封鎖時設為 false，重新加好友時設回 true)
+ *
+ * @param {string} userId - LINE User ID
+ * @param {boolean} isActive - 是否啟用
+ * @returns {boolean} 是否成功
+ */
+function setUserActiveInSupabase(userId, isActive) {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY || !userId) return false;
+
+    try {
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/user_wallets?line_user_id=eq.${encodeURIComponent(userId)}`, {
+            method: 'patch',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': SUPABASE_KEY,
+                'Authorization': 'Bearer ' + SUPABASE_KEY,
+                'Prefer': 'return=minimal'
+            },
+            payload: JSON.stringify({
+                is_active: isActive,
+                unfollowed_at: isActive ? null : new Date().toISOString()
+            }),
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() === 204) return true;
+        console.error(`❌ setUserActive Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+    } catch (e) {
+        console.error('setUserActiveInSupabase Error: ' + e.message);
+    }
+    return false;
+}
+
+/**
+ * 記錄非訊息事件到 chat_logs
+ *
+ * @param {Object} event - LINE webhook 事件
+ * @param {string} messageKind - follow / postback
+ * @param {string} botResponse - 機器人的回覆
+ * @param {string} responseType - FOLLOW / POSTBACK
+ */
+function logEventToSupabase(event, messageKind, botResponse, responseType) {
+    if (typeof logChatToSupabase !== 'function') return;
+
+    const userId = event.source.userId;
+    logChatToSupabase({
+        userId: userId,
+        displayName: typeof getLineDisplayName === 'function' ? getLineDisplayName(userId) : 'Unknown',
+        userMessage: event.postback ? `[postback] ${event.postback.data}` : `[${event.type}]`,
+        messageKind: messageKind,
+        botResponse: botResponse,
+        responseType: responseType
+    });
+}
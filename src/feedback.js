@@ -0,0 +1,108 @@
+/**
+ * 意見回饋模組 (Feedback)
+ *
+ * 用戶輸入「意見回饋」後進入 awaiting_feedback 狀態 (userState.js)，
+ * 下一則訊息會存進 Supabase feedback 表，不經過 AI、也不計入使用次數。
+ * 管理員可在 rag-admin 後台的「用戶意見回饋」區塊查看
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+const FEEDBACK_STATE = 'awaiting_feedback';
+const FEEDBACK_TIMEOUT_SECONDS = 10 * 60; // 10 分鐘內沒輸入就自動取消
+const FEEDBACK_MAX_LENGTH = 2000;         // 單則回饋最多保留的字數
+
+// ==================== 狀態切換 ====================
+
+/**
+ * 開始等待用戶輸入回饋 (「意見回饋」指令呼叫)
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {string} 回覆文字
+ */
+function startFeedback(userId) {
+    setUserState(userId, FEEDBACK_STATE, FEEDBACK_TIMEOUT_SECONDS);
+    return `📝 請直接輸入您的建議內容，我們會記錄下來做為改進參考！
+
+⏳ ${FEEDBACK_TIMEOUT_SECONDS / 60} 分鐘內輸入有效，輸入「取消」可放棄。`;
+}
+
+/**
+ * 用戶是否正在輸入回饋
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {boolean}
+ */
+function isAwaitingFeedback(userId) {
+    return getUserState(userId) === FEEDBACK_STATE;
+}
+
+/**
+ * 處理用戶送出的回饋內容
+ *
+ * @param {Object} data - { userId, displayName, sessionId, content }
+ * @returns {string} 回覆文字
+ */
+function submitFeedback(data) {
+    clearUserState(data.userId);
+
+    if (data.content === '取消') {
+        return "👌 已取消意見回饋。";
+    }
+
+    const saved = saveFeedbackToSupabase(data);
+    return saved
+        ? "🙏 感謝您的回饋！我們已經收到，會作為卡衛改進的參考～"
+        : "⚠️ 回饋儲存失敗，請稍後再試一次「意見回饋」。";
+}
+
+// ==================== Supabase ====================
+
+/**
+ * 儲存回饋至 Supabase feedback 表
+ *
+ * @param {Object} data - 回饋資料
+ * @param {string} data.userId - LINE User ID
+ * @param {string} data.displayName - LINE 顯示名稱
+ * @param {string} data.sessionId - 對話 Session ID
+ * @param {string} data.content - 回饋內容
+ * @returns {boolean} 是否成功
+ */
+function saveFeedbackToSupabase(data) {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+        console.warn('⚠️ Supabase 未設定，無法儲存回饋');
+        return false;
+    }
+
+    try {
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/feedback`, {
+            method: 'post',
+            headers: {
+                'Content-Type': 'application/json',
+                'apikey': SUPABASE_KEY,
+                'Authorization': 'Bearer ' + SUPABASE_KEY,
+                'Prefer': 'return=minimal'
+            },
+            payload: JSON.stringify({
+                line_user_id: data.userId,
+                line_display_name: data.displayName || 'Unknown',
+                session_id: data.sessionId || null,
+                content: String(data.content || '').substring(0, FEEDBACK_MAX_LENGTH)
+            }),
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() === 201) {
+            console.log(`✅ 已儲存回饋: ${data.displayName}`);
+            return true;
+        }
+        console.error(`❌ Feedback Insert Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+    } catch (e) {
+        console.error('saveFeedbackToSupabase Error: ' + e.message);
+    }
+    return false;
+}
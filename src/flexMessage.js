@@ -0,0 +1,276 @@
+/**
+ * 推薦卡片 Flex Message 產生器 (Flex Message Renderer)
+ *
+ * 將 callGeminiJSON 回傳的 recommendations 轉成 LINE Flex 輪播 (Carousel)：
+ * 🥇 user_best (您的首選) / 🥈 user_second (次選) / 🌍 global_best (全台最強)
+ *
+ * 每張卡片會顯示回饋率、預估回饋金額、付款方式 (行動支付)、權益切換提醒，並附上：
+ * - 🔍 Google 搜尋按鈕 (關鍵字 = 卡名 + 用戶問題)
+ * - ✅ 我已切換權益 / 🥈 看次選 (postback，見 eventHandlers.js)
+ * - 📄 RAG 引用文件 (可點擊開啟 Google Drive 原始檔，附佐證摘錄，見 ragCitations.js)
+ *
+ * LINE 限制 Flex 大小 (單張 bubble 30KB、整個 carousel 50KB、altText 400 字)，
+ * 超過時會先改用精簡版，仍然超過就退回純文字訊息，不會讓整則回覆失敗
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const FLEX_LIMITS = {
+    bubbleBytes: 30 * 1024,    // 單張 bubble 上限
+    carouselBytes: 50 * 1024,  // 整個 carousel 上限
+    altTextLength: 400,        // 通知列預覽文字上限
+    buttonLabelLength: 20,     // 按鈕文字上限
+    postbackDataLength: 300,   // postback data 上限
+    uriLength: 1000            // 連結長度上限
+};
+
+// 三種推薦的顯示樣式
+const FLEX_SLOTS = [
+    { key: 'user_best', title: '🥇 您的首選', color: '#06C755' },
+    { key: 'user_second', title: '🥈 您的次選', color: '#1E88E5' },
+    { key: 'global_best', title: '🌍 全台最強', color: '#F4511E' }
+];
+
+// ==================== 核心函式 ====================
+
+/**
+ * 產生推薦卡片 Flex Message
+ *
+ * @param {Object} recommendations - { user_best, user_second, global_best }
+ * @param {string} userText - 用戶的問題 (用於 Google 搜尋關鍵字與 altText)
+ * @returns {Object} LINE 訊息物件 (flex，或超過大小限制時的 text)
+ */
+function getRecommendationFlex(recommendations, userText = '') {
+    const slots = FLEX_SLOTS.filter(slot => recommendations && recommendations[slot.key] && recommendations[slot.key].card_name);
+
+    if (slots.length === 0) {
+        return { type: 'text', text: '🤔 目前找不到適合的卡片推薦。' };
+    }
+
+    const altText = buildFlexAltText(recommendations, userText);
+
+    // 先用完整版，超過大小限制再用精簡版
+    for (const compact of [false, true]) {
+        const bubbles = slots.map(slot => buildRecommendationBubble(slot, recommendations, userText, compact));
+        const message = {
+            type: 'flex',
+            altText: altText,
+            contents: { type: 'carousel', contents: bubbles }
+        };
+
+        if (isFlexWithinLimits(message)) return message;
+        console.warn(`⚠️ Flex Message 超過大小限制 (compact=${compact})`);
+    }
+
+    // 精簡版仍然過大 → 退回純文字
+    return { type: 'text', text: buildFlexFallbackText(recommendations, slots) };
+}
+
+/**
+ * 產生單張推薦卡片 (bubble)
+ *
+ * @param {Object} slot - FLEX_SLOTS 的其中一項
+ * @param {Object} recommendations - 完整推薦資料 (判斷是否有次選)
+ * @param {string} userText - 用戶的問題
+ * @param {boolean} compact - 精簡版 (省略理由、縮短文字)
+ * @returns {Object} Flex bubble
+ */
+function buildRecommendationBubble(slot, recommendations, userText, compact) {
+    const card = recommendations[slot.key];
+    const cardName = truncateFlexText(card.card_name, compact ? 20 : 40);
+
+    const body = [
+        { type: 'text', text: cardName, weight: 'bold', size: 'lg', wrap: true },
+        { type: 'text', text: truncateFlexText(card.reward_rate || '-', 20), size: '3xl', weight: 'bold', color: slot.color }
+    ];
+
+    if (card.reward_amount) {
+        body.push({ type: 'text', text: `約可回饋 $${truncateFlexText(card.reward_amount, 12)}`, size: 'sm', color: '#555555' });
+    }
+
+    if (card.channel) {
+        body.push({ type: 'text', text: `📱 綁定 ${truncateFlexText(card.channel, 20)} 付款`, size: 'sm', color: '#555555' });
+    }
+
+    if (card.rights_switch) {
+        body.push({
+            type: 'box',
+            layout: 'vertical',
+            backgroundColor: '#FFF4E5',
+            cornerRadius: 'md',
+            paddingAll: 'sm',
+            contents: [
+                { type: 'text', text: `⚠️ 需切換權益：${truncateFlexText(card.rights_switch, 20)}`, size: 'sm', color: '#E65100', wrap: true }
+            ]
+        });
+    }
+
+    if (card.reason && !compact) {
+        body.push({ type: 'text', text: `💡 ${truncateFlexText(card.reason, 120)}`, size: 'sm', color: '#888888', wrap: true });
+    }
+
+    if (card.citations && card.citations.length > 0 && !compact) {
+        body.push({ type: 'separator', margin: 'md' });
+        card.citations.forEach(citation => body.push(buildCitationBox(citation)));
+    }
+
+    return {
+        type: 'bubble',
+        size: 'kilo',
+        header: {
+            type: 'box',
+            layout: 'vertical',
+            backgroundColor: slot.color,
+            contents: [{ type: 'text', text: slot.title, color: '#FFFFFF', weight: 'bold' }]
+        },
+        body: { type: 'box', layout: 'vertical', spacing: 'sm', contents: body },
+        footer: { type: 'box', layout: 'vertical', spacing: 'sm', contents: buildBubbleButtons(slot, recommendations, userText) }
+    };
+}
+
+/**
+ * 產生卡片下方的按鈕
+ *
+ * @param {Object} slot - FLEX_SLOTS 的其中一項
+ * @param {Object} recommendations - 完整推薦資料
+ * @param {string} userText - 用戶的問題
+ * @returns {Array} Flex button 清單
+ */
+function buildBubbleButtons(slot, recommendations, userText) {
+    const card = recommendations[slot.key];
+    const buttons = [];
+
+    // 🔍 Google 搜尋：卡名 + 用戶問題，讓用戶自己確認最新權益
+    const keyword = `${card.card_name} ${userText || ''} 回饋`.trim();
+    const searchUri = `https://www.google.com/search?q=${encodeURIComponent(keyword)}`;
+    if (searchUri.length <= FLEX_LIMITS.uriLength) {
+        buttons.push(flexButton({ type: 'uri', label: '🔍 搜尋最新權益', uri: searchUri }, 'secondary'));
+    }
+
+    // ✅ 我已切換權益 (只有需要切換的持有卡才顯示)
+    if (card.rights_switch && slot.key !== 'global_best') {
+        const data = `action=rights_switched&card=${encodeURIComponent(card.card_name)}&plan=${encodeURIComponent(card.rights_switch)}`;
+        if (data.length <= FLEX_LIMITS.postbackDataLength) {
+            buttons.push(flexButton({ type: 'postback', label: '✅ 我已切換權益', data: data, displayText: `我已切換 ${card.rights_switch}` }, 'primary'));
+        }
+    }
+
+    // 🥈 看次選 (首選卡片上，方便不想滑動的用戶)
+    if (slot.key === 'user_best' && recommendations.user_second && recommendations.user_second.card_name) {
+        buttons.push(flexButton({ type: 'postback', label: '🥈 看次選', data: 'action=show_second', displayText: '次選是哪張？' }, 'link'));
+    }
+
+    return buttons;
+}
+
+/**
+ * 產生引用文件區塊 (有 Drive 連結時整塊可點擊)
+ *
+ * @param {Object} citation - { name, url, snippet }
+ * @returns {Object} Flex box
+ */
+function buildCitationBox(citation) {
+    const linked = citation.url && /^https:\/\//.test(citation.url) && citation.url.length <= FLEX_LIMITS.uriLength;
+    const contents = [
+        { type: 'text', text: `📄 ${truncateFlexText(citation.name, 30)}`, size: 'xs', color: linked ? '#1E88E5' : '#555555', decoration: linked ? 'underline' : 'none', wrap: true }
+    ];
+    if (citation.snippet) {
+        contents.push({ type: 'text', text: `「${truncateFlexText(citation.snippet, 70)}」`, size: 'xxs', color: '#888888', wrap: true });
+    }
+
+    const box = { type: 'box', layout: 'vertical', spacing: 'xs', contents: contents };
+    if (linked) {
+        box.action = { type: 'uri', label: '開啟參考文件', uri: citation.url };
+    }
+    return box;
+}
+
+/**
+ * 產生按鈕元件 (自動截斷過長的 label)
+ *
+ * @param {Object} action - LINE action 物件
+ * @param {string} style - primary / secondary / link
+ * @returns {Object} Flex button
+ */
+function flexButton(action, style) {
+    action.label = truncateFlexText(action.label, FLEX_LIMITS.buttonLabelLength);
+    return { type: 'button', style: style, height: 'sm', action: action };
+}
+
+// ==================== 文字與大小檢查 ====================
+
+/**
+ * 產生通知列 / 聊天列表顯示的預覽文字
+ *
+ * @param {Object} recommendations - 推薦資料
+ * @param {string} userText - 用戶的問題
+ * @returns {string} altText (不超過 400 字)
+ */
+function buildFlexAltText(recommendations, userText) {
+    const best = recommendations.user_best && recommendations.user_best.card_name
+        ? recommendations.user_best
+        : recommendations.global_best;
+
+    let text = '💳 卡衛推薦';
+    if (userText) text += `「${userText}」`;
+    if (best && best.card_name) text += `：${best.card_name} ${best.reward_rate || ''}`.trimEnd();
+    return truncateFlexText(text, FLEX_LIMITS.altTextLength);
+}
+
+/**
+ * Flex 過大時的純文字版本
+ *
+ * @param {Object} recommendations - 推薦資料
+ * @param {Array} slots - 有資料的 FLEX_SLOTS
+ * @returns {string} 文字內容
+ */
+function buildFlexFallbackText(recommendations, slots) {
+    return slots.map(slot => {
+        const card = recommendations[slot.key];
+        let line = `${slot.title}：${card.card_name} ${card.reward_rate || ''}`.trimEnd();
+        if (card.reward_amount) line += ` (約 $${card.reward_amount})`;
+        if (card.channel) line += `\n📱 綁定 ${card.channel} 付款`;
+        if (card.rights_switch) line += `\n⚠️ 需切換權益：${card.rights_switch}`;
+        (card.citations || []).forEach(c => { line += `\n📄 ${c.name}${c.url ? ' ' + c.url : ''}`; });
+        return line;
+    }).join('\n\n');
+}
+
+/**
+ * 檢查 Flex Message 是否符合 LINE 的大小限制
+ *
+ * @param {Object} message - flex 訊息
+ * @returns {boolean} 是否合格
+ */
+function isFlexWithinLimits(message) {
+    const bubbles = message.contents.contents;
+    if (bubbles.length > 12) return false; // carousel 最多 12 張
+
+    const bubbleOk = bubbles.every(b => utf8ByteLength(JSON.stringify(b)) <= FLEX_LIMITS.bubbleBytes);
+    return bubbleOk && utf8ByteLength(JSON.stringify(message.contents)) <= FLEX_LIMITS.carouselBytes;
+}
+
+/**
+ * 計算字串的 UTF-8 位元組數 (LINE 的大小限制以位元組計算，中文字佔 3 bytes)
+ *
+ * @param {string} str
+ * @returns {number} 位元組數
+ */
+function utf8ByteLength(str) {
+    return unescape(encodeURIComponent(str)).length;
+}
+
+/**
+ * 截斷過長文字，超過時以「…」結尾
+ *
+ * @param {*} value - 要顯示的值
+ * @param {number} maxLength - 最多字數
+ * @returns {string}
+ */
+function truncateFlexText(value, maxLength) {
+    const text = String(value);
+    return text.length > maxLength ? text.substring(0, maxLength - 1) + '…' : text;
+}
@@ -0,0 +1,217 @@
+/**
+ * Gemini JSON 輸出處理模組 (Structured Output & JSON Repair)
+ *
+ * callGeminiJSON 要求 AI 回傳固定結構的 JSON，但實際上還是會遇到：
+ * - 被 ```json 程式碼區塊包住、前後多了說明文字
+ * - 結尾多一個逗號、用單引號、字串裡有換行
+ * - 回覆太長被截斷 (finishReason = MAX_TOKENS)，少了結尾的 } ] (不硬補，回傳錯誤讓 callGeminiJSON 重問)
+ *
+ * 這裡提供三層保護：
+ * 1. GEMINI_RESPONSE_SCHEMA：透過 response_schema 讓 Gemini 直接照結構輸出
+ * 2. parseGeminiJSON：JSON.parse 失敗時先修復常見錯誤再解析
+ * 3. validateGeminiResult：檢查必要欄位，不合格時由 callGeminiJSON 帶著錯誤訊息重問一次
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const GEMINI_RESPONSE_TYPES = ['CHITCHAT', 'QUERY', 'ABUSE'];
+
+// 單張推薦卡片的結構
+const GEMINI_CARD_SCHEMA = {
+    type: 'OBJECT',
+    nullable: true,
+    properties: {
+        card_name: { type: 'STRING' },
+        reward_rate: { type: 'STRING' },
+        reward_amount: { type: 'STRING', nullable: true },
+        rights_switch: { type: 'STRING', nullable: true },
+        channel: { type: 'STRING', nullable: true },
+        reason: { type: 'STRING' }
+    },
+    required: ['card_name', 'reward_rate'],
+    propertyOrdering: ['card_name', 'reward_rate', 'reward_amount', 'rights_switch', 'channel', 'reason']
+};
+
+// callGeminiJSON 的回覆結構 (Gemini response_schema，OpenAPI 格式)
+const GEMINI_RESPONSE_SCHEMA = {
+    type: 'OBJECT',
+    properties: {
+        type: { type: 'STRING', enum: GEMINI_RESPONSE_TYPES },
+        reply_text: { type: 'STRING' },
+        recommendations: {
+            type: 'OBJECT',
+            nullable: true,
+            properties: {
+                user_best: GEMINI_CARD_SCHEMA,
+                user_second: GEMINI_CARD_SCHEMA,
+                global_best: GEMINI_CARD_SCHEMA
+            },
+            propertyOrdering: ['user_best', 'user_second', 'global_best']
+        }
+    },
+    required: ['type', 'reply_text'],
+    propertyOrdering: ['type', 'reply_text', 'recommendations']
+};
+
+// ==================== 核心函式 ====================
+
+/**
+ * 從 Gemini 回應中取出並驗證 JSON 結果
+ *
+ * @param {Object} data - generateContent 的回應 (已 JSON.parse)
+ * @returns {Object} { result, error, raw }
+ *   - result: Object|null - 解析成功的結果
+ *   - error: string|null - 失敗原因 (重問時會告訴 AI)
+ *   - raw: string - AI 的原始輸出
+ */
+function parseGeminiCandidate(data) {
+    const candidate = data && data.candidates && data.candidates[0];
+    const parts = candidate && candidate.content && candidate.content.parts;
+    const raw = parts ? parts.map(p => p.text || '').join('') : '';
+
+    if (!raw) {
+        const reason = candidate ? candidate.finishReason : (data && data.promptFeedback ? data.promptFeedback.blockReason : 'EMPTY');
+        return { result: null, error: `沒有輸出內容 (${reason})`, raw: raw };
+    }
+
+    // 被截斷的回覆就算補得回 JSON，最後一個欄位也可能只有一半 (例如金額少了一位數)
+    if (candidate.finishReason === 'MAX_TOKENS') {
+        return { result: null, error: '回覆太長被截斷 (MAX_TOKENS)，請縮短 reply_text', raw: raw };
+    }
+
+    let result;
+    try {
+        result = parseGeminiJSON(raw);
+    } catch (e) {
+        return { result: null, error: `JSON 格式錯誤：${e.message}`, raw: raw };
+    }
+
+    const error = validateGeminiResult(result);
+    return { result: error ? null : result, error: error, raw: raw };
+}
+
+/**
+ * 寬鬆的 JSON 解析：先直接解析，失敗再修復後解析
+ *
+ * @param {string} text - AI 的原始輸出
+ * @returns {Object} 解析結果
+ * @throws {Error} 修復後仍無法解析，或輸出不完整 (被截斷)
+ */
+function parseGeminiJSON(text) {
+    const stripped = text.replace(/```(?:json)?/gi, '').trim();
+    try {
+        return JSON.parse(stripped);
+    } catch (e) {
+        const repaired = repairJSON(stripped);
+        console.warn(`⚠️ Gemini JSON 格式錯誤 (${e.message})，已嘗試修復`);
+        return JSON.parse(repaired);
+    }
+}
+
+/**
+ * 修復常見的 JSON 錯誤
+ * - 前後多餘的文字 (從第一個 { 開始)
+ * - 單引號字串、彎引號
+ * - 字串中未跳脫的換行、JSON 不支援的 \' 跳脫
+ * - 結尾多餘的逗號
+ *
+ * 被截斷 (字串或括號沒有關閉) 時不補齊，直接丟出錯誤：補出來的值可能只有一半
+ *
+ * @param {string} text - 原始文字
+ * @returns {string} 修復後的 JSON 字串
+ * @throws {Error} 輸出不完整
+ */
+function repairJSON(text) {
+    const start = text.indexOf('{');
+    if (start === -1) return text;
+
+    const source = text.substring(start).replace(/[“”]/g, '"');
+    let output = '';
+    let quote = null;      // 目前所在字串的引號 (" 或 ')，不在字串中為 null
+    const stack = [];      // 尚未關閉的 { [
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (quote) {
+            if (char === '\\') {
+                // \' 在 JSON 裡不合法 (單引號字串常見)，直接寫成 '
+                output += source[i + 1] === "'" ? "'" : char + (source[i + 1] || '');
+                i++;
+            } else if (char === quote) {
+                output += '"';
+                quote = null;
+            } else if (char === '"') {
+                output += '\\"';       // 單引號字串裡的雙引號
+            } else if (char === '\n') {
+                output += '\\n';
+            } else {
+                output += char;
+            }
+            continue;
+        }
+
+        if (char === '"' || char === "'") {
+            quote = char;
+            output += '"';
+        } else if (char === '{' || char === '[') {
+            stack.push(char === '{' ? '}' : ']');
+            output += char;
+        } else if (char === '}' || char === ']') {
+            output = output.replace(/,\s*$/, '');  // 結尾多餘的逗號
+            stack.pop();
+            output += char;
+            if (stack.length === 0) break;         // 後面多餘的文字不要
+        } else {
+            output += char;
+        }
+    }
+
+    if (quote || stack.length > 0) {
+        throw new Error('輸出不完整 (可能被截斷)');
+    }
+    return output;
+}
+
+/**
+ * 檢查必要欄位
+ *
+ * @param {Object} result - 解析後的 JSON
+ * @returns {string|null} 錯誤訊息，合格回傳 null
+ */
+function validateGeminiResult(result) {
+    if (!result || typeof result !== 'object' || Array.isArray(result)) return '回覆必須是 JSON 物件';
+    if (!GEMINI_RESPONSE_TYPES.includes(result.type)) return `type 必須是 ${GEMINI_RESPONSE_TYPES.join(' / ')}`;
+    if (typeof result.reply_text !== 'string' || !result.reply_text.trim()) return 'reply_text 不可為空';
+
+    if (result.type === 'QUERY') {
+        const recs = result.recommendations;
+        if (!recs || typeof recs !== 'object') return 'QUERY 必須提供 recommendations';
+
+        // 空物件視為沒有這張卡 (回覆被截斷時常見)
+        const slots = ['user_best', 'user_second', 'global_best'].filter(slot => recs[slot] && Object.keys(recs[slot]).length > 0);
+        if (slots.length === 0) return 'recommendations 至少要有一張卡';
+
+        for (const slot of slots) {
+            if (!recs[slot].card_name || !recs[slot].reward_rate) {
+                return `recommendations.${slot} 缺少 card_name 或 reward_rate`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * 格式錯誤時的重問提示
+ *
+ * @param {string} error - parseGeminiCandidate 的錯誤
+ * @returns {string} 給 AI 的修正指示
+ */
+function buildJsonCorrectionPrompt(error) {
+    return `你上一個回覆無法使用：${error}。
+請重新輸出「完整且有效」的 JSON，只能有 JSON 本身，不要加任何說明或程式碼區塊。
+結構：{ "type": "CHITCHAT" | "QUERY" | "ABUSE", "reply_text": "...", "recommendations": { "user_best": {...}, "user_second": {...}, "global_best": {...} } }`;
+}
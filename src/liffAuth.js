@@ -0,0 +1,93 @@
+/**
+ * LIFF 身分驗證模組 (LIFF ID Token Verification)
+ *
+ * LIFF 網頁呼叫 get_settings / save_settings 時會帶 idToken 與 userId，
+ * 但 userId 是前端自己填的，不能相信。這裡把 idToken 送到 LINE 的 verify API，
+ * 以回傳的 sub (真正的 LINE User ID) 為準，和前端的 userId 不一致就拒絕
+ *
+ * 驗證結果依 token 快取到過期為止，同一個 LIFF 頁面反覆儲存不必每次都打 LINE API。
+ * client_id 為 LINE Login Channel ID：可設定「指令碼屬性」LINE_LOGIN_CHANNEL_ID，
+ * 未設定時從 LIFF_URL 的 LIFF ID 取出 (格式為 <Channel ID>-<亂碼>)
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const LINE_VERIFY_URL = 'https://api.line.me/oauth2/v2.1/verify';
+const ID_TOKEN_CACHE_MAX_TTL = 6 * 60 * 60; // CacheService 上限 6 小時 (秒)
+
+// ==================== 核心函式 ====================
+
+/**
+ * 驗證 LIFF ID Token
+ *
+ * @param {string} idToken - liff.getIDToken() 取得的 token
+ * @returns {Object} 結果物件
+ *   - verified: boolean - 是否通過
+ *   - userId: string - token 中的 sub (通過時)
+ *   - reason: string - 未通過原因 (MISSING_TOKEN / INVALID_TOKEN / VERIFY_UNAVAILABLE)
+ */
+function verifyLiffIdToken(idToken) {
+    if (!idToken) {
+        return { verified: false, userId: null, reason: 'MISSING_TOKEN' };
+    }
+
+    const cache = CacheService.getScriptCache();
+    const cacheKey = `id_token_${hashIdToken(idToken)}`;
+    const cachedUserId = cache.get(cacheKey);
+    if (cachedUserId) {
+        return { verified: true, userId: cachedUserId, reason: null };
+    }
+
+    try {
+        const res = UrlFetchApp.fetch(LINE_VERIFY_URL, {
+            method: 'post',
+            payload: { id_token: idToken, client_id: getLiffChannelId() },
+            muteHttpExceptions: true
+        });
+
+        // 400 = token 無效、過期或不是發給這個 channel 的
+        if (res.getResponseCode() === 400) {
+            console.warn(`⚠️ LIFF ID Token 驗證失敗：${res.getContentText()}`);
+            return { verified: false, userId: null, reason: 'INVALID_TOKEN' };
+        }
+
+        if (res.getResponseCode() !== 200) {
+            console.error(`❌ LINE Verify API Error (${res.getResponseCode()}): ${res.getContentText()}`);
+            return { verified: false, userId: null, reason: 'VERIFY_UNAVAILABLE' };
+        }
+
+        const claims = JSON.parse(res.getContentText());
+        const ttl = Math.min(claims.exp - Math.floor(Date.now() / 1000), ID_TOKEN_CACHE_MAX_TTL);
+        if (ttl > 0) {
+            cache.put(cacheKey, claims.sub, ttl);
+        }
+        return { verified: true, userId: claims.sub, reason: null };
+    } catch (e) {
+        console.error('verifyLiffIdToken Error: ' + e.message);
+        return { verified: false, userId: null, reason: 'VERIFY_UNAVAILABLE' };
+    }
+}
+
+/**
+ * 取得 LINE Login Channel ID (verify API 的 client_id)
+ *
+ * @returns {string} Channel ID
+ */
+function getLiffChannelId() {
+    return PROPS.getProperty('LINE_LOGIN_CHANNEL_ID') || LIFF_URL.split('/').pop().split('-')[0];
+}
+
+/**
+ * 將 token 雜湊成固定長度 (CacheService 的 key 最長 250 字元，ID Token 常常超過)
+ * answerCache.js 產生快取鍵時也共用這個函式
+ *
+ * @param {string} idToken
+ * @returns {string} SHA-256 十六進位字串
+ */
+function hashIdToken(idToken) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, idToken, Utilities.Charset.UTF_8);
+    return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,105 @@
+/**
+ * LINE Webhook 簽章驗證模組 (Signature Verification)
+ *
+ * LINE 每次呼叫 webhook 都會在 X-Line-Signature 標頭附上
+ * Base64(HMAC-SHA256(request body, Channel Secret))，用來證明請求真的來自 LINE。
+ *
+ * ⚠️ GAS 的 doPost 拿不到 HTTP 標頭，所以需要一個轉發器 (Relay，例如 Cloudflare Worker)：
+ *   1. LINE Developers 的 Webhook URL 設為轉發器網址
+ *   2. 轉發器把 body「原封不動」POST 到 GAS，並將標頭值放進網址參數：
+ *      https://script.google.com/macros/s/xxx/exec?signature=<URL 編碼後的 X-Line-Signature>
+ *
+ * 「指令碼屬性」CHANNEL_SECRET 未設定時一律拒絕 (記為 MISSING_SIGNATURE)，避免漏設定就等於關掉防護。
+ * 尚未架設轉發器、確定要暫時關閉驗證時，必須明確設定 ALLOW_UNSIGNED_WEBHOOK = true
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 核心函式 ====================
+
+/**
+ * 從 doPost 的 e 取出 LINE 簽章
+ * 優先讀轉發器帶的網址參數，保留讀取標頭的寫法以防日後 GAS 支援
+ *
+ * @param {Object} e - doPost 的事件物件
+ * @returns {string|null} Base64 簽章
+ */
+function getLineSignature(e) {
+    const params = e.parameter || {};
+    const headers = e.headers || {};
+    return params.signature || headers['X-Line-Signature'] || headers['x-line-signature'] || null;
+}
+
+/**
+ * 驗證 webhook 請求是否來自 LINE
+ *
+ * @param {Object} e - doPost 的事件物件
+ * @returns {Object} 結果物件
+ *   - verified: boolean - 是否通過
+ *   - reason: string - 未通過原因 (MISSING_SIGNATURE：沒有簽章或未設定 CHANNEL_SECRET / INVALID_SIGNATURE)，通過時為 null
+ */
+function verifyLineWebhook(e) {
+    const channelSecret = PROPS.getProperty('CHANNEL_SECRET');
+    if (!channelSecret) {
+        if (String(PROPS.getProperty('ALLOW_UNSIGNED_WEBHOOK')).trim().toLowerCase() === 'true') {
+            console.warn('⚠️ CHANNEL_SECRET 未設定且 ALLOW_UNSIGNED_WEBHOOK = true，跳過 LINE 簽章驗證');
+            return { verified: true, reason: null };
+        }
+        console.error('❌ CHANNEL_SECRET 未設定，拒絕所有 webhook 請求 (暫時關閉驗證請設定 ALLOW_UNSIGNED_WEBHOOK = true)');
+        return { verified: false, reason: 'MISSING_SIGNATURE' };
+    }
+
+    const signature = getLineSignature(e);
+    if (!signature) {
+        return { verified: false, reason: 'MISSING_SIGNATURE' };
+    }
+
+    const digest = Utilities.computeHmacSha256Signature(e.postData.contents, channelSecret, Utilities.Charset.UTF_8);
+    const expected = Utilities.base64Encode(digest);
+
+    if (!safeCompare(expected, signature)) {
+        return { verified: false, reason: 'INVALID_SIGNATURE' };
+    }
+    return { verified: true, reason: null };
+}
+
+/**
+ * 固定時間字串比對 (避免 timing attack 逐字猜出簽章)
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean} 是否相同
+ */
+function safeCompare(a, b) {
+    if (a.length !== b.length) return false;
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    }
+    return diff === 0;
+}
+
+/**
+ * 記錄被拒絕的 webhook 請求 (一個請求記一筆，不逐一處理 events 以免被灌爆)
+ *
+ * @param {Object} json - 解析後的 request body
+ * @param {string} reason - MISSING_SIGNATURE / INVALID_SIGNATURE
+ */
+function logRejectedWebhook(json, reason) {
+    if (typeof logChatToSupabase !== 'function') return;
+
+    const firstEvent = (json.events || [])[0] || {};
+    const claimedUserId = firstEvent.source && firstEvent.source.userId; // 偽造請求的 userId 不可信，僅供追查
+    const claimedText = firstEvent.message && firstEvent.message.text;
+
+    logChatToSupabase({
+        userId: claimedUserId || 'unknown',
+        displayName: 'Unverified',
+        userMessage: (claimedText || JSON.stringify(json)).substring(0, 500),
+        messageKind: firstEvent.message ? firstEvent.message.type : firstEvent.type,
+        botResponse: '[REJECTED]',
+        responseType: 'REJECTED',
+        filterResult: reason
+    });
+}
@@ -0,0 +1,147 @@
+/**
+ * 非文字訊息處理模組 (Message Content)
+ *
+ * 將 LINE 的圖片 / 位置 / 貼圖訊息轉換成「文字查詢」，
+ * 讓它們可以走和文字訊息完全相同的 過濾 → Supabase → Gemini → 回覆 流程
+ *
+ * - image：下載圖片，交給 Gemini Vision 辨識收據上的「商家 + 金額」
+ * - location：轉成「這附近的消費場景刷哪張卡」的查詢
+ * - sticker：轉成貼圖描述，讓 AI 以 CHITCHAT 回應
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// doPost 會處理的訊息類型 (其餘類型如 video / audio / file 直接忽略)
+const SUPPORTED_MESSAGE_TYPES = ['text', 'image', 'location', 'sticker'];
+
+// ==================== 訊息轉文字 ====================
+
+/**
+ * 將 LINE 訊息轉成可以丟進 AI 流程的文字
+ *
+ * 注意：圖片需要額外呼叫 Gemini Vision，成本較高，
+ * 所以這裡只回傳佔位文字，真正的辨識交給 extractReceiptQuery (在 Rate Limit 之後才呼叫)
+ *
+ * @param {Object} message - LINE webhook event.message
+ * @returns {string} 用戶輸入的文字 (或轉換後的查詢)
+ */
+function describeLineMessage(message) {
+    switch (message.type) {
+        case 'text':
+            return message.text.trim();
+        case 'image':
+            return '[圖片]';
+        case 'location':
+            return buildLocationQuery(message);
+        case 'sticker':
+            return buildStickerQuery(message);
+        default:
+            return `[${message.type}]`;
+    }
+}
+
+/**
+ * 位置訊息 → 「附近商家類型」查詢
+ *
+ * @param {Object} message - type 為 location 的訊息 (title, address, latitude, longitude)
+ * @returns {string} 查詢文字
+ */
+function buildLocationQuery(message) {
+    const place = message.title || message.address || `${message.latitude}, ${message.longitude}`;
+    const address = message.title && message.address ? ` (${message.address})` : '';
+    return `我現在在「${place}」${address}附近，這附近常見的消費場景 (超商/餐廳/加油站/百貨) 刷哪張卡最划算？`;
+}
+
+/**
+ * 貼圖訊息 → 貼圖描述 (交給 AI 以 CHITCHAT 回應)
+ *
+ * @param {Object} message - type 為 sticker 的訊息 (keywords 為 LINE 提供的貼圖關鍵字，可能不存在)
+ * @returns {string} 貼圖描述文字
+ */
+function buildStickerQuery(message) {
+    const keywords = Array.isArray(message.keywords) ? message.keywords.slice(0, 5) : [];
+    return keywords.length > 0
+        ? `(傳送了一張貼圖：${keywords.join('、')})`
+        : '(傳送了一張貼圖)';
+}
+
+// ==================== 收據辨識 (Gemini Vision) ====================
+
+/**
+ * 下載用戶傳來的圖片內容
+ *
+ * @param {string} messageId - LINE 訊息 ID
+ * @returns {Blob|null} 圖片 Blob，失敗回傳 null
+ */
+function getLineMessageContent(messageId) {
+    try {
+        const res = UrlFetchApp.fetch(`https://api-data.line.me/v2/bot/message/${messageId}/content`, {
+            method: 'get',
+            headers: { 'Authorization': 'Bearer ' + CHANNEL_ACCESS_TOKEN },
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() === 200) {
+            return res.getBlob();
+        }
+        console.warn(`getLineMessageContent: HTTP ${res.getResponseCode()} for ${messageId}`);
+    } catch (e) {
+        console.error('getLineMessageContent Error: ' + e.message);
+    }
+    return null;
+}
+
+/**
+ * 辨識收據圖片，轉成「商家 + 金額」的查詢文字
+ *
+ * @param {string} messageId - LINE 訊息 ID
+ * @returns {Object} { query, meta }
+ *   - query: string|null - 例如 "全聯 $1280"；若不是收據或辨識失敗則為 null
+ *   - meta: Object|null - Vision 呼叫的模型 / tokens / 估算成本 (有呼叫到 API 才有，辨識失敗也照樣記錄)
+ */
+function extractReceiptQuery(messageId) {
+    const blob = getLineMessageContent(messageId);
+    if (!blob) return { query: null, meta: null };
+
+    const modelName = 'gemini-2.5-flash';
+
+    const prompt = `這是一張台灣的消費收據、發票或刷卡簽單照片嗎？
+若是，請找出「商家名稱」與「消費總金額 (新台幣)」。
+請只回傳 JSON：{ "is_receipt": true | false, "merchant": "商家名稱或 null", "amount": 數字或 null }`;
+
+    const payload = {
+        "contents": [{
+            "parts": [
+                { "inline_data": { "mime_type": blob.getContentType() || 'image/jpeg', "data": Utilities.base64Encode(blob.getBytes()) } },
+                { "text": prompt }
+            ]
+        }],
+        "generationConfig": { "response_mime_type": "application/json", "temperature": 0 }
+    };
+
+    let meta = null;
+    try {
+        const res = requestGeminiAPI(modelName, payload);
+        meta = buildGeminiMeta(res, null);
+        if (res.getResponseCode() !== 200) {
+            console.error(`Receipt OCR Error (Status ${res.getResponseCode()}): ${res.getContentText()}`);
+            return { query: null, meta: meta };
+        }
+
+        const data = JSON.parse(res.getContentText());
+        meta = buildGeminiMeta(res, addGeminiUsage(data));
+        let text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+        text = text.replace(/```json/g, "").replace(/```/g, "").trim();
+        const receipt = JSON.parse(text);
+
+        if (!receipt.is_receipt || !receipt.merchant) return { query: null, meta: meta };
+
+        const query = receipt.amount ? `${receipt.merchant} $${receipt.amount}` : receipt.merchant;
+        console.log(`📷 收據辨識結果: ${query}`);
+        return { query: query, meta: meta };
+    } catch (e) {
+        console.error('Receipt OCR Failed: ' + e.message);
+        return { query: null, meta: meta };
+    }
+}
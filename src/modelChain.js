@@ -0,0 +1,292 @@
+/**
+ * Gemini 模型備援鏈 (Model Fallback Chain)
+ *
+ * requestGeminiAPI 會依序嘗試一串 (模型, API Key) 組合，前一組失敗就換下一組。
+ * 順序設定在「指令碼屬性」，格式為逗號分隔的 模型:Key：
+ *   GEMINI_MODEL_CHAIN      = gemini-2.5-flash:FREE, gemini-2.5-flash:PAID, gemini-2.0-flash:PAID
+ *   GEMINI_LITE_MODEL_CHAIN = gemini-2.5-flash-lite:FREE, gemini-2.5-flash-lite:PAID
+ * Key 可寫 FREE (GEMINI_API_KEY_FREE)、PAID (GEMINI_API_KEY) 或任何存放 Key 的屬性名稱。
+ * 未設定時沿用舊行為：呼叫端指定的模型，先 FREE 再 PAID
+ *
+ * 斷路器 (Circuit Breaker)：每組的健康狀態存在 CacheService，
+ * 連續 429 / 5xx 達門檻就暫停使用該組一段時間；Key 無效 (401/403) 直接暫停較久。
+ * 400 / 404 多半是請求本身的問題 (例如 RAG Store 不存在)，不換模型，交給呼叫端處理。
+ * 換下一組之前會指數退避 (0.5s → 1s → 2s ...)，避免瞬間把每一組都打爆
+ *
+ * 另外提供 usageMetadata 累加與成本估算 (GEMINI_PRICING)，結果記錄在 chat_logs
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const MODEL_CHAIN_CONFIG = {
+    failureThreshold: 3,          // 連續失敗幾次就暫停
+    cooldownSeconds: 5 * 60,      // 429 / 5xx 暫停時間
+    fatalCooldownSeconds: 60 * 60, // Key 無效 暫停時間
+    backoffBaseMs: 500,           // 第一次退避時間
+    backoffMaxMs: 4000            // 退避上限 (GAS 單次執行有 6 分鐘限制)
+};
+
+// Key 別名 → 指令碼屬性名稱
+const MODEL_KEY_ALIASES = { FREE: 'GEMINI_API_KEY_FREE', PAID: 'GEMINI_API_KEY' };
+
+const RETRYABLE_CODES = [429, 500, 502, 503, 504]; // 暫時性錯誤，累計失敗次數
+const FATAL_CODES = [401, 403];                    // Key 無效，直接暫停
+
+const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+// 付費 Key 的牌價 (美元 / 每 1M tokens，https://ai.google.dev/pricing)，用來估算 chat_logs 的成本
+// 輸出包含思考 (thinking) tokens；FREE Key 不計費
+const GEMINI_PRICING = {
+    'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+    'gemini-2.5-flash-lite': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash': { input: 0.10, output: 0.40 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.30 }
+};
+
+// ==================== 核心函式 ====================
+
+/**
+ * 🛠️ 通用 Gemini API 請求函式 (依備援鏈自動切換模型與 Key)
+ *
+ * @param {string} defaultModel - 未設定備援鏈時使用的模型
+ * @param {Object} payload - generateContent 的請求內容
+ * @param {string} chainProperty - 備援鏈的指令碼屬性名稱 (預設 GEMINI_MODEL_CHAIN)
+ * @returns {Object} 與 HTTPResponse 相同的 getResponseCode / getContentText，另外帶：
+ *   - source: string - 使用的 Key (FREE / PAID / 屬性名稱)
+ *   - model: string - 實際回應的模型
+ */
+function requestGeminiAPI(defaultModel, payload, chainProperty = 'GEMINI_MODEL_CHAIN') {
+    const chain = getModelChain(defaultModel, chainProperty);
+    if (chain.length === 0) {
+        console.error('❌ 錯誤：沒有設定任何 Gemini API Key！');
+        return buildGeminiResponse(500, JSON.stringify({ error: 'No API Key configured' }), 'NONE', defaultModel);
+    }
+
+    // 全部都在暫停中時，還是試第一組 (總比直接放棄好)
+    let available = chain.filter(link => !isModelLinkOpen(link));
+    if (available.length === 0) {
+        console.warn('⚠️ 所有模型都在暫停中，強制嘗試第一組');
+        available = [chain[0]];
+    }
+
+    let last = null;
+    for (let i = 0; i < available.length; i++) {
+        const link = available[i];
+        if (i > 0) {
+            Utilities.sleep(Math.min(MODEL_CHAIN_CONFIG.backoffBaseMs * Math.pow(2, i - 1), MODEL_CHAIN_CONFIG.backoffMaxMs));
+        }
+
+        console.log(`Trying Gemini ${link.model} (${link.source})...`);
+        let code;
+        let body;
+        try {
+            const res = UrlFetchApp.fetch(`${GEMINI_API_BASE}/${link.model}:generateContent?key=${link.apiKey}`, {
+                method: 'post',
+                contentType: 'application/json',
+                payload: JSON.stringify(payload),
+                muteHttpExceptions: true
+            });
+            code = res.getResponseCode();
+            body = res.getContentText();
+        } catch (e) {
+            // 逾時或網路錯誤，視同 504
+            code = 504;
+            body = JSON.stringify({ error: e.message });
+        }
+
+        last = buildGeminiResponse(code, body, link.source, link.model);
+
+        if (RETRYABLE_CODES.includes(code) || FATAL_CODES.includes(code)) {
+            recordModelFailure(link, code);
+            console.warn(`⚠️ ${link.model} (${link.source}) 失敗 (${code})${i < available.length - 1 ? '，切換下一組...' : ''}`);
+            continue;
+        }
+
+        // 200 或請求本身的錯誤 (400 / 404) 都不換模型，交給呼叫端處理
+        if (code === 200) recordModelSuccess(link);
+        return last;
+    }
+
+    console.error(`❌ 備援鏈全部失敗 (最後狀態 ${last.getResponseCode()})`);
+    return last;
+}
+
+/**
+ * 取得備援鏈 (略過沒有設定 Key 的組合)
+ *
+ * @param {string} defaultModel - 未設定時使用的模型
+ * @param {string} chainProperty - 指令碼屬性名稱
+ * @returns {Array} [{ model, source, apiKey }]
+ */
+function getModelChain(defaultModel, chainProperty) {
+    const setting = PROPS.getProperty(chainProperty);
+    const entries = setting
+        ? setting.split(',').map(s => s.trim()).filter(Boolean)
+        : [`${defaultModel}:FREE`, `${defaultModel}:PAID`];
+
+    return entries
+        .map(entry => {
+            const [model, keyName = 'PAID'] = entry.split(':').map(s => s.trim());
+            const apiKey = PROPS.getProperty(MODEL_KEY_ALIASES[keyName] || keyName);
+            return { model: model, source: keyName, apiKey: apiKey };
+        })
+        .filter(link => link.model && link.apiKey);
+}
+
+// ==================== 斷路器 ====================
+
+/**
+ * 此組合是否暫停中
+ *
+ * @param {Object} link - { model, source }
+ * @returns {boolean}
+ */
+function isModelLinkOpen(link) {
+    const health = getModelHealth(link);
+    return !!health.openUntil && health.openUntil > Date.now();
+}
+
+/**
+ * 記錄失敗，達門檻 (或設定錯誤) 就暫停
+ *
+ * @param {Object} link - { model, source }
+ * @param {number} code - HTTP 狀態碼
+ */
+function recordModelFailure(link, code) {
+    const health = getModelHealth(link);
+    health.failures = (health.failures || 0) + 1;
+    health.lastCode = code;
+
+    const fatal = FATAL_CODES.includes(code);
+    if (fatal || health.failures >= MODEL_CHAIN_CONFIG.failureThreshold) {
+        const cooldown = fatal ? MODEL_CHAIN_CONFIG.fatalCooldownSeconds : MODEL_CHAIN_CONFIG.cooldownSeconds;
+        health.openUntil = Date.now() + cooldown * 1000;
+        console.warn(`🔌 ${link.model} (${link.source}) 暫停 ${cooldown} 秒 (連續失敗 ${health.failures} 次，最後 ${code})`);
+    }
+
+    CacheService.getScriptCache().put(modelHealthKey(link), JSON.stringify(health), MODEL_CHAIN_CONFIG.fatalCooldownSeconds);
+}
+
+/**
+ * 成功後清除失敗紀錄
+ *
+ * @param {Object} link - { model, source }
+ */
+function recordModelSuccess(link) {
+    CacheService.getScriptCache().remove(modelHealthKey(link));
+}
+
+/**
+ * 讀取健康狀態
+ *
+ * @param {Object} link - { model, source }
+ * @returns {Object} { failures, openUntil, lastCode }
+ */
+function getModelHealth(link) {
+    const cached = CacheService.getScriptCache().get(modelHealthKey(link));
+    try { return cached ? JSON.parse(cached) : {}; } catch (e) { return {}; }
+}
+
+function modelHealthKey(link) {
+    return `gemini_health_${link.model}_${link.source}`;
+}
+
+/**
+ * 包成和 UrlFetchApp 回應相同的介面
+ */
+function buildGeminiResponse(code, body, source, model) {
+    return {
+        getResponseCode: () => code,
+        getContentText: () => body,
+        source: source,
+        model: model
+    };
+}
+
+// ==================== 用量與成本 ====================
+
+/**
+ * 累加 generateContent 回應的 usageMetadata
+ *
+ * @param {Object} data - generateContent 的回應 (已 JSON.parse)
+ * @param {Object} base - 先前的累計 (同一則訊息重問時會呼叫多次)
+ * @returns {Object} { promptTokens, outputTokens, totalTokens }
+ */
+function addGeminiUsage(data, base = null) {
+    const usage = (data && data.usageMetadata) || {};
+    const total = base || { promptTokens: 0, outputTokens: 0, totalTokens: 0 };
+    return {
+        promptTokens: total.promptTokens + (usage.promptTokenCount || 0),
+        outputTokens: total.outputTokens + (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        totalTokens: total.totalTokens + (usage.totalTokenCount || 0)
+    };
+}
+
+/**
+ * 估算一次呼叫的費用 (美元)
+ *
+ * @param {string} model - 實際使用的模型
+ * @param {string} source - 使用的 Key (FREE 不計費)
+ * @param {Object} usage - addGeminiUsage 的結果
+ * @returns {number|null} 費用；沒有牌價的模型回傳 null
+ */
+function estimateGeminiCost(model, source, usage) {
+    if (!usage) return null;
+    if (source === 'FREE') return 0;
+
+    const price = GEMINI_PRICING[model];
+    if (!price) return null;
+
+    const cost = (usage.promptTokens * price.input + usage.outputTokens * price.output) / 1e6;
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * 組成給 chat_logs 的呼叫資訊
+ *
+ * @param {Object} res - requestGeminiAPI 的回應
+ * @param {Object} usage - addGeminiUsage 的結果
+ * @param {boolean} ragHit - 是否有引用 RAG 文件
+ * @returns {Object} { model, source, usage, ragHit, costUsd }
+ */
+function buildGeminiMeta(res, usage, ragHit = false) {
+    return {
+        model: res.model,
+        source: res.source,
+        usage: usage,
+        ragHit: ragHit,
+        costUsd: estimateGeminiCost(res.model, res.source, usage)
+    };
+}
+
+/**
+ * 加總同一則訊息各次呼叫的估算成本
+ *
+ * @param {Array} metas - buildGeminiMeta 的結果 (可含 null)
+ * @returns {number|null} 總成本；沒有任何可估算的呼叫時回傳 null
+ */
+function sumEstimatedCost(metas) {
+    const costs = metas.filter(m => m && typeof m.costUsd === 'number').map(m => m.costUsd);
+    if (costs.length === 0) return null;
+    return Math.round(costs.reduce((sum, c) => sum + c, 0) * 1e6) / 1e6;
+}
+
+// ==================== 測試函式 ====================
+
+/**
+ * 查看備援鏈與健康狀態 (在 GAS 編輯器中手動執行)
+ */
+function testModelChain() {
+    const chains = { GEMINI_MODEL_CHAIN: 'gemini-2.5-flash', GEMINI_LITE_MODEL_CHAIN: 'gemini-2.5-flash-lite' };
+    Object.keys(chains).forEach(property => {
+        console.log(`\n[${property}] ${PROPS.getProperty(property) || '(未設定，使用預設)'}`);
+        getModelChain(chains[property], property).forEach((link, i) => {
+            const health = getModelHealth(link);
+            const state = isModelLinkOpen(link) ? `🔌 暫停至 ${new Date(health.openUntil).toLocaleTimeString()}` : '✅ 可用';
+            console.log(`${i + 1}. ${link.model} (${link.source}) ${state}，連續失敗 ${health.failures || 0} 次`);
+        });
+    });
+}
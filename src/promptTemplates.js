@@ -0,0 +1,267 @@
+/**
+ * Prompt 範本模組 (Prompt Templates)
+ *
+ * 「卡衛」人設 Prompt 不再寫死在 callGeminiJSON 裡，改成有版本的範本：
+ * - 內建 v1 (DEFAULT_PROMPT_TEMPLATES)，Supabase 讀不到時仍可運作
+ * - Supabase prompt_templates 表可以新增版本 (v2, v3...) 或調整權重，不必重新部署
+ * - 範本可使用 {{變數}}，由 renderPromptTemplate 代入
+ * - 同一個用戶依 SHA-256(範本名稱:userId) 固定分到同一個版本 (A/B 測試)，版本記錄在 chat_logs.prompt_version
+ *
+ * 讀取結果快取在 CacheService，改完範本後執行 reloadPromptTemplates() 或管理員指令 /prompts reload 即可生效
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const PROMPT_CACHE_KEY = 'prompt_templates';
+const PROMPT_CACHE_TTL = 10 * 60; // 範本快取 10 分鐘 (秒)
+const PROMPT_FALLBACK_CACHE_TTL = 60; // Supabase 讀取失敗時，內建範本只快取 1 分鐘 (秒)
+
+const PERSONA_PROMPT_NAME = 'cardway_persona';
+
+// 內建範本：{ 範本名稱: [{ version, weight, content }] }
+// 可用變數：{{market_period}} 市場資訊年份、{{user_input_guard}} 用戶輸入安全規則 (promptGuard.js)
+const DEFAULT_PROMPT_TEMPLATES = {
+    [PERSONA_PROMPT_NAME]: [
+        {
+            version: 'v1',
+            weight: 100,
+            content: `你是「卡衛」，一位專業、親切且有點俏皮的台灣信用卡理財顧問。
+你的口頭禪是用 Emoji 開頭，語氣像朋友聊天，但資訊專業精準。
+
+【你的思考邏輯 (Chain of Thought)】：
+
+1. **意圖判斷**：
+   - 用戶在打招呼 / 問你是誰 / 閒聊 / 傳貼圖 → 回傳 **CHITCHAT**
+   - 用戶問消費場景 (超商/網購/加油/餐廳...)、金額或所在位置附近的消費 → 回傳 **QUERY**
+   - 用戶感謝/道別 → 回傳 **CHITCHAT** 並溫馨回應
+
+2. **CHITCHAT 閒聊回覆規則 (重要！)**：
+   閒聊時，除了回應用戶，**必須同時引導他使用正確功能**。
+   
+   【範例對照表】：
+   | 用戶說 | AI 回覆 |
+   |--------|---------|
+   | 你好 / 嗨 | 👋 嗨嗨！我是卡衛，你的刷卡小幫手！\\n\\n試著告訴我你要去哪消費，例如：「超商」「網購 $3000」「加油」，我幫你找回饋最高的卡！ |
+   | 你是誰 | 🤖 我是卡衛！專門幫你找「刷哪張卡最划算」的 AI 顧問～\\n\\n你可以問我：「7-11」「全聯」「出國刷卡」之類的問題喔！ |
+   | 謝謝 | 😊 不客氣！有任何刷卡問題隨時問我～ |
+   | 早安/晚安 | 🌞 早安！/🌙 晚安！今天有什麼消費計畫嗎？告訴我場景，幫你省錢！ |
+   | 你會什麼 | 💡 我可以幫你：\\n1. 分析「哪張卡」在某場景回饋最高\\n2. 計算實際能賺多少回饋\\n3. 提醒你要切換哪個權益方案\\n\\n試著問：「網購」「加油 $1500」！ |
+   | (傳送了一張貼圖：…) | 依貼圖關鍵字俏皮回應，例如 😆 收到你的貼圖啦！\\n\\n要不要告訴我你等等要去哪消費？也可以直接拍收據給我看喔！ |
+   
+   **注意**：閒聊回覆要有溫度，但最後一定要帶到「怎麼使用我」。
+
+3. **QUERY 資訊檢索邏輯**：
+   - 優先查閱我提供的 File Search 知識庫 (信用卡權益文件)。
+   - **若 RAG 停用或查無資料**，請發揮你的專業知識，根據「台灣市場 {{market_period}} 年」現況回答。
+   - 絕對禁止捏造不存在的卡片或回饋數據。
+
+4. **QUERY 策略分析**：
+   - **User Best (用戶首選)**：從用戶持有的卡片中，找出該場景回饋最高的。
+   - **User Second (用戶次選)**：第二高回饋的卡片。
+   - **Global Best (全域推薦)**：如果用戶的卡都不適合，推薦全台灣該場景最強的卡。
+   - **行動支付**：每張卡都要比較「直接刷卡」與「透過已綁定的行動支付付款」(例如 全支付 綁 @GoGo卡)，選回饋較高的方式。
+
+5. **多輪對話**：
+   - 若用戶的輸入是接續先前對話的追問 (例如「那如果是 $5000 呢？」「第二張呢」「那網購呢」)，請沿用先前對話的場景、卡片與金額來回答。
+   - 先前對話只是參考，本次仍須依照下方的 JSON 結構輸出。
+
+6. **回覆風格 (QUERY)**：
+   - **Card Data (JSON)**：
+     - \`reward_rate\`：回饋率，例如 "3%"。
+     - \`reward_amount\`：(選填) 若有金額，計算實際回饋 (純數字如 "150")；無金額則 null。
+     - \`rights_switch\`：(選填) 需切換的權益方案名稱 (如 "集精選")；否則 null。
+     - \`channel\`：(選填) 透過哪個行動支付付款 (如 "LINE Pay")；直接刷卡則 null。
+   - **Text Detail (reply_text)**：
+     - 用**最簡短的條列式**說明。
+     - 格式：\`[卡名]：$金額 或 回饋率% (理由)\`
+     - **禁止廢話**：不要寫「綜合以上...」「針對您的需求...」。
+     - 若需切換權益，加上 ⚠️ 提醒。
+     - 若透過行動支付付款，在卡名後註明，例如「@GoGo卡 (綁 全支付)」。
+     - 若有回饋上限，提醒用戶。
+   - 範例：
+     1. 國泰 CUBE：$300 (集精選 3%)
+        ⚠️ 記得先切換權益！
+     2. 玉山 U Bear：$100 (1%)
+
+【輸出 JSON 結構】：
+{
+  "type": "CHITCHAT" | "QUERY",
+  "reply_text": "你的回覆內容",
+  "recommendations": {
+    "user_best": { "card_name": "卡名", "reward_rate": "3%", "reward_amount": "300", "rights_switch": "集精選", "channel": "LINE Pay", "reason": "理由" },
+    "user_second": { ... },
+    "global_best": { ... }
+  }
+}
+*注意：CHITCHAT 時 recommendations 可以是 null 或空物件。*
+
+{{user_input_guard}}`
+        }
+    ]
+};
+
+// ==================== 核心函式 ====================
+
+/**
+ * 產生人設 Prompt (callGeminiJSON 的 system_instruction)
+ *
+ * @param {string} userId - LINE User ID (決定 A/B 版本；null 時用第一個版本)
+ * @param {string} version - 指定版本 (測試用，可選)
+ * @returns {Object} { text, version }
+ */
+function buildPersonaPrompt(userId, version = null) {
+    const variant = selectPromptVariant(PERSONA_PROMPT_NAME, userId, version);
+    const year = parseInt(Utilities.formatDate(new Date(), 'Asia/Taipei', 'yyyy'), 10);
+
+    const text = renderPromptTemplate(variant.content, {
+        market_period: `${year - 1}-${year}`,
+        user_input_guard: typeof USER_INPUT_GUARD === 'string' ? USER_INPUT_GUARD : ''
+    });
+    return { text: text, version: variant.version };
+}
+
+/**
+ * 依用戶分配範本版本
+ * 權重為 0 的版本不會被分配，但仍可用 version 參數指定
+ *
+ * @param {string} name - 範本名稱
+ * @param {string} userId - LINE User ID
+ * @param {string} version - 指定版本 (可選)
+ * @returns {Object} { version, weight, content }
+ */
+function selectPromptVariant(name, userId, version = null) {
+    const variants = loadPromptTemplates()[name] || DEFAULT_PROMPT_TEMPLATES[name];
+
+    if (version) {
+        const forced = variants.find(v => v.version === version);
+        if (forced) return forced;
+        console.warn(`⚠️ 找不到 Prompt 範本 ${name}@${version}，改用 A/B 分配`);
+    }
+
+    const weighted = variants.filter(v => v.weight > 0);
+    if (weighted.length === 0) return variants[0];
+
+    const total = weighted.reduce((sum, v) => sum + v.weight, 0);
+    let bucket = userId ? promptBucket(`${name}:${userId}`) % total : 0;
+    for (const variant of weighted) {
+        if (bucket < variant.weight) return variant;
+        bucket -= variant.weight;
+    }
+    return weighted[0];
+}
+
+/**
+ * 代入 {{變數}}
+ *
+ * @param {string} content - 範本內容
+ * @param {Object} vars - 變數 { 名稱: 值 }
+ * @returns {string} 代入後的文字 (未提供的變數會換成空字串)
+ */
+function renderPromptTemplate(content, vars) {
+    return content.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => {
+        if (vars[key] === undefined || vars[key] === null) {
+            console.warn(`⚠️ Prompt 範本變數 {{${key}}} 未提供`);
+            return '';
+        }
+        return String(vars[key]);
+    });
+}
+
+/**
+ * 將字串雜湊成固定的非負整數 (同一個用戶每次都分到同一組)
+ *
+ * @param {string} key - 雜湊來源
+ * @returns {number}
+ */
+function promptBucket(key) {
+    const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, key, Utilities.Charset.UTF_8);
+    return ((digest[0] & 0xff) << 16) | ((digest[1] & 0xff) << 8) | (digest[2] & 0xff);
+}
+
+// ==================== 範本讀取 ====================
+
+/**
+ * 讀取範本 (內建 + Supabase，結果快取 10 分鐘)
+ * Supabase 的同版本列會覆蓋內建版本；content 留空代表只調整權重
+ * 讀取失敗時改用內建範本並短暫快取，Supabase 掛掉時不會每則訊息都再等一次逾時
+ *
+ * @returns {Object} { 範本名稱: [{ version, weight, content }] }
+ */
+function loadPromptTemplates() {
+    const cache = CacheService.getScriptCache();
+    const cached = cache.get(PROMPT_CACHE_KEY);
+    if (cached) {
+        try { return JSON.parse(cached); } catch (e) { }
+    }
+
+    const templates = JSON.parse(JSON.stringify(DEFAULT_PROMPT_TEMPLATES));
+    const remote = fetchPromptTemplatesFromSupabase();
+
+    if (remote) {
+        remote.forEach(row => {
+            if (!row.name || !row.version) return;
+            const variants = templates[row.name] = templates[row.name] || [];
+            const existing = variants.find(v => v.version === row.version);
+            const weight = typeof row.weight === 'number' ? row.weight : 0;
+
+            if (existing) {
+                existing.weight = weight;
+                if (row.content) existing.content = row.content;
+            } else if (row.content) {
+                variants.push({ version: row.version, weight: weight, content: row.content });
+            }
+        });
+    }
+
+    try {
+        cache.put(PROMPT_CACHE_KEY, JSON.stringify(templates), remote ? PROMPT_CACHE_TTL : PROMPT_FALLBACK_CACHE_TTL);
+    } catch (e) {
+        console.warn('loadPromptTemplates: 範本過大，無法快取');
+    }
+    return templates;
+}
+
+/**
+ * 從 Supabase prompt_templates 表讀取啟用中的範本
+ *
+ * @returns {Array|null} [{ name, version, content, weight }]，未設定或失敗回傳 null
+ */
+function fetchPromptTemplatesFromSupabase() {
+    const SUPABASE_URL = PROPS.getProperty('SUPABASE_URL');
+    const SUPABASE_KEY = PROPS.getProperty('SUPABASE_KEY');
+    if (!SUPABASE_URL || !SUPABASE_KEY) return null;
+
+    try {
+        const res = UrlFetchApp.fetch(`${SUPABASE_URL}/rest/v1/prompt_templates?select=name,version,content,weight&enabled=eq.true&order=version`, {
+            method: 'get',
+            headers: { 'apikey': SUPABASE_KEY, 'Authorization': 'Bearer ' + SUPABASE_KEY },
+            muteHttpExceptions: true
+        });
+
+        if (res.getResponseCode() === 200) {
+            return JSON.parse(res.getContentText());
+        }
+        console.error(`❌ Prompt Templates Query Failed (${res.getResponseCode()}): ${res.getContentText()}`);
+    } catch (e) {
+        console.error('fetchPromptTemplatesFromSupabase Error: ' + e.message);
+    }
+    return null;
+}
+
+/**
+ * 清除範本快取，下次呼叫時重新從 Supabase 讀取
+ *
+ * @returns {string} 各範本的版本與權重，例如 "cardway_persona: v1(50) v2(50)"
+ */
+function reloadPromptTemplates() {
+    CacheService.getScriptCache().remove(PROMPT_CACHE_KEY);
+    const templates = loadPromptTemplates();
+    const summary = Object.keys(templates)
+        .map(name => `${name}: ${templates[name].map(v => `${v.version}(${v.weight})`).join(' ')}`)
+        .join('\n');
+    console.log(`✅ Prompt 範本已重新載入\n${summary}`);
+    return summary;
+}
@@ -0,0 +1,277 @@
+/**
+ * 消費查詢解析模組 (Query Parser)
+ *
+ * 在呼叫 Gemini 之前，先用固定規則從用戶輸入抓出：
+ * - 金額：$3000 / NT$3,000 / 3000元 / 1.5萬 / 3千5 / 三千五 / 兩萬 / 加油1500
+ * - 商家：7-11 / 小七 / 統一超商 → 7-ELEVEN (並帶出消費類別)
+ * - 消費類別：網購 / 加油 / 餐廳 / 出國 ...
+ * - 支付方式：LINE Pay / 街口 / Apple Pay ...
+ *
+ * 解析結果會放進 Prompt (讓 AI 不必自己猜金額)，也會存到 chat_logs.parsed_query，
+ * 之後可以拿來核對 AI 算出來的 reward_amount
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+// 商家別名 (比對前會轉小寫、全形轉半形)
+const MERCHANT_ALIASES = [
+    { name: '7-ELEVEN', category: '超商', aliases: ['7-11', '7-eleven', '7eleven', '7 11', '711', 'seven', '小七', '統一超商'] },
+    { name: '全家', category: '超商', aliases: ['全家', 'familymart', 'family mart'] },
+    { name: '萊爾富', category: '超商', aliases: ['萊爾富', 'hi-life', 'hilife'] },
+    { name: 'OK超商', category: '超商', aliases: ['ok超商', 'ok mart', 'okmart'] },
+    { name: '全聯', category: '量販超市', aliases: ['全聯', 'pxmart'] },
+    { name: '家樂福', category: '量販超市', aliases: ['家樂福', 'carrefour'] },
+    { name: '好市多', category: '量販超市', aliases: ['好市多', 'costco', '科斯特'] },
+    { name: '蝦皮', category: '網購', aliases: ['蝦皮', 'shopee'] },
+    { name: 'momo', category: '網購', aliases: ['momo', '富邦媒'] },
+    { name: 'PChome', category: '網購', aliases: ['pchome', 'pc home', '24h購物'] },
+    { name: '酷澎', category: '網購', aliases: ['酷澎', 'coupang'] },
+    { name: '淘寶', category: '海外網購', aliases: ['淘寶', 'taobao'] },
+    { name: 'Amazon', category: '海外網購', aliases: ['amazon', '亞馬遜'] },
+    { name: 'Uber Eats', category: '外送', aliases: ['uber eats', 'ubereats', 'uber eat'] },
+    { name: 'foodpanda', category: '外送', aliases: ['foodpanda', 'food panda', '熊貓'] },
+    { name: 'Uber', category: '交通', aliases: ['uber', '優步'] },
+    { name: '中油', category: '加油', aliases: ['中油', 'cpc'] },
+    { name: '台塑石化', category: '加油', aliases: ['台塑石化', '台塑加油'] },
+    { name: '星巴克', category: '餐廳', aliases: ['星巴克', 'starbucks', '小星星'] },
+    { name: '麥當勞', category: '餐廳', aliases: ['麥當勞', '麥噹噹', 'mcdonald'] },
+    { name: '屈臣氏', category: '藥妝', aliases: ['屈臣氏', 'watsons'] },
+    { name: '康是美', category: '藥妝', aliases: ['康是美', 'cosmed'] },
+    { name: 'Netflix', category: '數位訂閱', aliases: ['netflix', '網飛'] },
+    { name: 'Spotify', category: '數位訂閱', aliases: ['spotify'] },
+    { name: '台灣高鐵', category: '交通', aliases: ['高鐵', 'thsr'] },
+    { name: '台鐵', category: '交通', aliases: ['台鐵', '火車票'] }
+];
+
+// 沒有指名商家時的消費類別關鍵字
+const CATEGORY_KEYWORDS = [
+    { category: '網購', keywords: ['網購', '線上購物', '網路購物'] },
+    { category: '海外消費', keywords: ['出國', '海外', '國外', '日本', '韓國', '歐洲', '美國'] },
+    { category: '加油', keywords: ['加油', '油錢'] },
+    { category: '超商', keywords: ['超商', '便利商店'] },
+    { category: '餐廳', keywords: ['餐廳', '吃飯', '聚餐', '餐飲'] },
+    { category: '外送', keywords: ['外送'] },
+    { category: '量販超市', keywords: ['量販', '超市', '大賣場'] },
+    { category: '百貨', keywords: ['百貨', '週年慶', 'sogo', '新光三越'] },
+    { category: '交通', keywords: ['捷運', '計程車', '停車'] },
+    { category: '保費', keywords: ['保費', '保險'] },
+    { category: '繳稅', keywords: ['繳稅', '所得稅', '牌照稅'] }
+];
+
+// 支付方式 (name 與 LIFF 的 PAY_METHODS / payMap key 一致)
+const PAYMENT_CHANNELS = [
+    { name: 'LINE Pay', aliases: ['line pay', 'linepay'] },
+    { name: '街口支付', aliases: ['街口'] },
+    { name: '全支付', aliases: ['全支付', 'px pay', 'pxpay'] },
+    { name: '悠遊付', aliases: ['悠遊付', 'easy wallet'] },
+    { name: '台灣 Pay', aliases: ['台灣pay', '台灣 pay', 'taiwan pay', 'taiwanpay'] },
+    { name: 'icash Pay', aliases: ['icash pay', 'icashpay'] },
+    { name: 'Pi 拍錢包', aliases: ['pi拍錢包', 'pi 拍錢包', 'pi錢包'] },
+    { name: 'Apple Pay', aliases: ['apple pay', 'applepay'] },
+    { name: 'Google Pay', aliases: ['google pay', 'googlepay'] },
+    { name: 'Samsung Pay', aliases: ['samsung pay', 'samsungpay'] }
+];
+
+const CHINESE_DIGITS = { '零': 0, '〇': 0, '一': 1, '二': 2, '兩': 2, '三': 3, '四': 4, '五': 5, '六': 6, '七': 7, '八': 8, '九': 9 };
+const CHINESE_UNITS = { '十': 10, '百': 100, '千': 1000, '萬': 10000 };
+
+// 金額：(前綴 $) (阿拉伯數字 或 中文數字) (單位 千/萬/k + 口語尾數「3千5」) (後綴 元/塊)
+const AMOUNT_PATTERN = /(nt\$|\$)?\s*([0-9][0-9,]*(?:\.[0-9]+)?|[零〇一二兩三四五六七八九十百千萬]+)\s*([千萬k](?:[0-9一二兩三四五六七八九](?![0-9]))?)?\s*(元|塊|圓)?/g;
+
+// 數字後面接這些字就不是金額 (日期、折扣、數量...)
+const NON_AMOUNT_SUFFIX = /^\s*(%|％|年|月|日|號|點|期|個|次|歲|張|折|倍|趴|天|小時|分)/;
+
+// ==================== 核心函式 ====================
+
+/**
+ * 解析用戶的消費查詢
+ *
+ * @param {string} text - 用戶輸入
+ * @returns {Object} 解析結果
+ *   - amount: number|null - 消費金額 (新台幣)
+ *   - amountExplicit: boolean - 金額有明確的 $/元 (false 表示是猜的，例如「加油1500」)
+ *   - merchant: string|null - 標準商家名稱
+ *   - category: string|null - 消費類別
+ *   - channel: string|null - 支付方式
+ */
+function parseUserQuery(text) {
+    let normalized = String(text || '').normalize('NFKC').toLowerCase();
+
+    const merchant = findAlias(normalized, MERCHANT_ALIASES);
+    const channel = findAlias(normalized, PAYMENT_CHANNELS);
+
+    // 先把商家 / 支付方式挖掉，避免「7-11」「711」被當成金額
+    [merchant, channel].forEach(found => {
+        if (found) normalized = normalized.split(found.alias).join(' ');
+    });
+
+    const amount = parseAmount(normalized);
+    let category = merchant ? merchant.entry.category : null;
+    if (!category) {
+        const hit = CATEGORY_KEYWORDS.find(c => c.keywords.some(k => normalized.indexOf(k) !== -1));
+        category = hit ? hit.category : null;
+    }
+
+    return {
+        amount: amount.value,
+        amountExplicit: amount.explicit,
+        merchant: merchant ? merchant.entry.name : null,
+        category: category,
+        channel: channel ? channel.entry.name : null
+    };
+}
+
+/**
+ * 從文字中找出金額
+ * 有 $ 或「元」的金額優先；都沒有時取第一個 ≥ 100 的數字 (避免「雙11」「買2個」被當成金額)
+ *
+ * @param {string} text - 已正規化的文字
+ * @returns {Object} { value, explicit }
+ *   - value: number|null - 金額
+ *   - explicit: boolean - 是否帶有 $ 或「元」
+ */
+function parseAmount(text) {
+    let fallback = null;
+    let match;
+    AMOUNT_PATTERN.lastIndex = 0;
+
+    while ((match = AMOUNT_PATTERN.exec(text)) !== null) {
+        const [token, prefix, number, unit, suffix] = match;
+        if (!token.trim()) {
+            AMOUNT_PATTERN.lastIndex++;
+            continue;
+        }
+
+        const isChinese = /^[零〇一二兩三四五六七八九十百千萬]+$/.test(number);
+        // 中文數字要以數字開頭 (「三千」「兩萬五千」)，或明確帶 $/元，才算金額
+        // 排除「一下」的「一」，以及「百貨」「千萬」「萬一」這類開頭是單位的一般用語
+        if (isChinese && !prefix && !suffix && (CHINESE_DIGITS[number[0]] === undefined || (!/[十百千萬]/.test(number) && !unit))) continue;
+        if (!suffix && NON_AMOUNT_SUFFIX.test(text.substring(match.index + token.length))) continue;
+
+        const value = isChinese ? parseChineseNumber(number) : parseFloat(number.replace(/,/g, ''));
+        const amount = Math.round(applyAmountUnit(value, unit));
+        if (!amount) continue;
+
+        if (prefix || suffix) return { value: amount, explicit: true };
+        if (fallback === null && amount >= 100) fallback = amount;
+    }
+    return { value: fallback, explicit: false };
+}
+
+/**
+ * 套用「千 / 萬 / k」單位，以及口語尾數 (「3千5」= 3500、「1萬2」= 12000)
+ *
+ * @param {number} value - 單位前的數字
+ * @param {string} unit - 例如 "千"、"萬2"、"k"
+ * @returns {number} 金額
+ */
+function applyAmountUnit(value, unit) {
+    if (!unit) return value;
+
+    const multiplier = unit[0] === '萬' ? 10000 : 1000;
+    const tail = unit.substring(1);
+    const tailValue = tail ? (CHINESE_DIGITS[tail] !== undefined ? CHINESE_DIGITS[tail] : parseInt(tail, 10)) : 0;
+    return value * multiplier + tailValue * multiplier / 10;
+}
+
+/**
+ * 中文數字轉阿拉伯數字 (支援「三千五百」「兩萬」「一千五」這類口語省略)
+ *
+ * @param {string} text - 中文數字
+ * @returns {number}
+ */
+function parseChineseNumber(text) {
+    let total = 0;    // 萬以上
+    let section = 0;  // 萬以下
+    let digit = 0;
+    let lastUnit = 1;
+
+    for (const char of text) {
+        if (CHINESE_DIGITS[char] !== undefined) {
+            digit = CHINESE_DIGITS[char];
+        } else if (char === '萬') {
+            total += (section + digit) * 10000;
+            section = 0;
+            digit = 0;
+            lastUnit = 10000;
+        } else {
+            const unit = CHINESE_UNITS[char];
+            section += (digit || 1) * unit;
+            digit = 0;
+            lastUnit = unit;
+        }
+    }
+
+    // 口語省略：「一千五」的「五」代表五百
+    const lastChar = text[text.length - 1];
+    if (digit && CHINESE_DIGITS[lastChar] !== undefined && lastUnit > 10 && text.length > 1) {
+        digit = digit * lastUnit / 10;
+    }
+    return total + section + digit;
+}
+
+/**
+ * 在文字中找出最長的別名
+ *
+ * @param {string} text - 已正規化的文字
+ * @param {Array} entries - MERCHANT_ALIASES 或 PAYMENT_CHANNELS
+ * @returns {Object|null} { entry, alias }
+ */
+function findAlias(text, entries) {
+    let best = null;
+    entries.forEach(entry => {
+        entry.aliases.forEach(alias => {
+            if (text.indexOf(alias) !== -1 && (!best || alias.length > best.alias.length)) {
+                best = { entry: entry, alias: alias };
+            }
+        });
+    });
+    return best;
+}
+
+/**
+ * 把解析結果轉成給 AI 看的文字 (沒有任何結果時回傳空字串)
+ *
+ * @param {Object} parsed - parseUserQuery 的結果
+ * @returns {string} Prompt 片段
+ */
+function formatParsedQuery(parsed) {
+    if (!parsed) return '';
+
+    const lines = [];
+    if (parsed.amount) lines.push(`- 消費金額：$${parsed.amount}`);
+    if (parsed.merchant) lines.push(`- 商家：${parsed.merchant}`);
+    if (parsed.category) lines.push(`- 消費類別：${parsed.category}`);
+    if (parsed.channel) lines.push(`- 支付方式：${parsed.channel}`);
+    return lines.join('\n');
+}
+
+// ==================== 測試函式 ====================
+
+/**
+ * 測試查詢解析 (在 GAS 編輯器中手動執行)
+ */
+function testQueryParser() {
+    [
+        { text: '網購 $3000', amount: 3000 },
+        { text: '加油1500', amount: 1500 },
+        { text: '小七買咖啡 85元', amount: 85 },
+        { text: '統一超商用LINE Pay付 1.5萬', amount: 15000 },
+        { text: '全聯 三千五', amount: 3500 },
+        { text: '好市多 3千5', amount: 3500 },
+        { text: '雙11 蝦皮', amount: null },
+        { text: '出國刷 NT$12,000', amount: 12000 },
+        { text: '7-11', amount: null },
+        { text: '百貨 3000', amount: 3000 },
+        { text: '百貨 兩萬五千', amount: 25000 },
+        { text: '千萬別用現金 刷1200', amount: 1200 },
+        { text: '萬一刷不過怎麼辦', amount: null },
+        { text: '百元', amount: 100 }
+    ].forEach(c => {
+        const parsed = parseUserQuery(c.text);
+        console.log(`${parsed.amount === c.amount ? '✅' : '❌'} ${c.text} → ${JSON.stringify(parsed)}`);
+    });
+}
@@ -0,0 +1,240 @@
+/**
+ * RAG 引用來源模組 (RAG Citations)
+ *
+ * Gemini File Search 回傳的 groundingChunks 只有文件標題 (有時是更名失敗的 ID) 與命中的段落。
+ * 這裡把它整理成用戶看得懂的引用：
+ * 1. 透過 RAG_FILENAME_MAP 換成原始檔名 (去掉副檔名)
+ * 2. 透過 RAG_DRIVE_MAP (RAG.js 同步時記錄) 找到 Google Drive 原始檔案連結
+ * 3. 從命中的段落中找出提到推薦卡片的句子，作為每張卡的佐證摘錄
+ *
+ * 結果放在推薦卡片的 citations 欄位：[{ name, url, snippet }]，
+ * 會跟著 recommendations 寫進 chat_logs，並在 Flex 卡片上顯示為可點擊的文件連結
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+const RAG_CITATION_CONFIG = {
+    maxSources: 5,       // 回覆文字最多列出幾份文件
+    maxPerCard: 2,       // 每張推薦卡片最多附幾則引用
+    snippetLength: 60,   // 摘錄字數
+    snippetLead: 15      // 卡名前保留的字數 (回饋條件通常寫在卡名後面)
+};
+
+const DRIVE_FILE_URL = 'https://drive.google.com/file/d/';
+
+// ==================== 核心函式 ====================
+
+/**
+ * 整理 Gemini 回覆中的引用來源
+ *
+ * @param {Object} candidate - data.candidates[0]
+ * @returns {Array} [{ name, url, texts }]，依第一次出現的順序去重
+ *   - name: string - 文件名稱 (原始檔名，去掉副檔名)
+ *   - url: string|null - Google Drive 原始檔案連結 (沒有記錄時為 null)
+ *   - texts: string[] - 命中的段落 (找佐證摘錄用)
+ */
+function extractRagCitations(candidate) {
+    const chunks = candidate && candidate.groundingMetadata && candidate.groundingMetadata.groundingChunks;
+    if (!chunks || chunks.length === 0) return [];
+
+    const nameMap = readRagJsonProperty('RAG_FILENAME_MAP');
+    const driveMap = readRagJsonProperty('RAG_DRIVE_MAP');
+    const citations = [];
+
+    chunks.forEach(chunk => {
+        if (!chunk.retrievedContext) return;
+
+        const fileName = resolveRagFileName(chunk.retrievedContext.title, nameMap);
+        const name = fileName.replace(/\.(pdf|txt)$/i, '');
+        let citation = citations.find(c => c.name === name);
+        if (!citation) {
+            citation = { name: name, url: driveMap[fileName] ? DRIVE_FILE_URL + driveMap[fileName] + '/view' : null, texts: [] };
+            citations.push(citation);
+        }
+        if (chunk.retrievedContext.text) citation.texts.push(chunk.retrievedContext.text);
+    });
+
+    return citations;
+}
+
+/**
+ * 幫每張推薦卡片附上引用 (文件名稱、連結、提到這張卡的摘錄)
+ * 要在 verifyRecommendations 之後呼叫 (校正會重建卡片物件)
+ *
+ * @param {Object} recommendations - { user_best, user_second, global_best }
+ * @param {Array} citations - extractRagCitations 的結果
+ * @returns {Object} 新的 recommendations (有找到引用的卡片多了 citations 欄位)
+ */
+function attachRecommendationCitations(recommendations, citations) {
+    if (!recommendations || !citations || citations.length === 0) return recommendations;
+
+    const result = Object.assign({}, recommendations);
+    ['user_best', 'user_second', 'global_best'].forEach(slot => {
+        const card = result[slot];
+        if (!card || !card.card_name) return;
+
+        const terms = buildCardSearchTerms(card.card_name);
+        const found = [];
+        citations.forEach(citation => {
+            if (found.length >= RAG_CITATION_CONFIG.maxPerCard) return;
+            const snippet = findCitationSnippet(citation.texts || [], terms);
+            if (snippet) found.push({ name: citation.name, url: citation.url, snippet: snippet });
+        });
+
+        if (found.length > 0) result[slot] = Object.assign({}, card, { citations: found });
+    });
+    return result;
+}
+
+/**
+ * 回覆文字最後的「📚 參考來源」清單
+ *
+ * @param {Array} citations - extractRagCitations 的結果
+ * @returns {string} 沒有引用時回傳空字串
+ */
+function formatCitationText(citations) {
+    if (!citations || citations.length === 0) return '';
+
+    const lines = citations.slice(0, RAG_CITATION_CONFIG.maxSources).map((c, i) => {
+        return `${i + 1}. ${c.name}` + (c.url ? `\n${c.url}` : '');
+    });
+    return `\n\n📚 參考來源：\n` + lines.join('\n');
+}
+
+// ==================== 內部工具 ====================
+
+/**
+ * 文件標題換成原始檔名
+ * 標題通常就是上傳時設定的檔名；更名失敗時是文件 ID，用 RAG_FILENAME_MAP 查回來
+ *
+ * @param {string} title - retrievedContext.title
+ * @param {Object} nameMap - { 文件資源名稱: 原始檔名 }
+ * @returns {string}
+ */
+function resolveRagFileName(title, nameMap) {
+    if (!title) return '相關文件';
+
+    const names = Object.keys(nameMap).map(key => nameMap[key]);
+    if (names.includes(title)) return title;
+
+    const key = Object.keys(nameMap).find(k => k === title || k.split('/').pop() === title.split('/').pop());
+    return key ? nameMap[key] : title;
+}
+
+/**
+ * 卡名的比對關鍵字 (正規化後的卡名 + 回饋規則表的別名)
+ *
+ * @param {string} cardName - 推薦的卡名
+ * @returns {string[]}
+ */
+function buildCardSearchTerms(cardName) {
+    const terms = [compactCitationText(cardName).text.replace(/(信用卡|卡)$/, '')];
+    if (typeof findCardRule === 'function') {
+        const rule = findCardRule(cardName);
+        if (rule) terms.push(...rule.aliases);
+    }
+    return terms.filter((term, i) => term.length >= 2 && terms.indexOf(term) === i);
+}
+
+/**
+ * 在命中的段落中找出提到卡片的地方，截取前後文
+ *
+ * @param {string[]} texts - 命中的段落
+ * @param {string[]} terms - buildCardSearchTerms 的結果
+ * @returns {string|null} 摘錄，找不到回傳 null
+ */
+function findCitationSnippet(texts, terms) {
+    for (const text of texts) {
+        // 比對時忽略大小寫、空白與符號 (「U Bear」也能對到 ubear)，再換算回原文位置
+        const compact = compactCitationText(text);
+        for (const term of terms) {
+            const index = compact.text.indexOf(term);
+            if (index === -1) continue;
+
+            const start = compact.positions[index];
+            const end = compact.positions[index + term.length - 1] + 1;
+            return buildCitationSnippet(compact.source, start, end);
+        }
+    }
+    return null;
+}
+
+/**
+ * 從命中位置截取摘錄：卡名前保留一小段 (遇到句號就從下一句開始)，其餘留給卡名後的說明
+ *
+ * @param {string} text - 原文
+ * @param {number} start - 命中開始位置
+ * @param {number} end - 命中結束位置
+ * @returns {string}
+ */
+function buildCitationSnippet(text, start, end) {
+    let from = Math.max(0, start - RAG_CITATION_CONFIG.snippetLead);
+    const sentenceEnd = Math.max(...['。', '！', '？', '；', '\n'].map(mark => text.lastIndexOf(mark, start - 1)));
+    const fromSentence = sentenceEnd >= from;
+    if (fromSentence) from = sentenceEnd + 1;
+    const to = Math.min(text.length, Math.max(end, from + RAG_CITATION_CONFIG.snippetLength));
+
+    const snippet = text.substring(from, to).replace(/\s+/g, ' ').trim();
+    return (from > 0 && !fromSentence ? '…' : '') + snippet + (to < text.length ? '…' : '');
+}
+
+/**
+ * 轉成比對用的文字 (規則同 rewardEngine.js 的 normalizeCardName)，並記錄每個字在原文的位置
+ * 逐字正規化，摘錄才能保留原文的全形標點
+ *
+ * @param {string} text
+ * @returns {Object} { source, text, positions }
+ */
+function compactCitationText(text) {
+    const source = String(text || '');
+    let compact = '';
+    const positions = [];
+
+    for (let i = 0; i < source.length; i++) {
+        const normalized = source[i].normalize('NFKC').toLowerCase().replace(/[\s@_\-.]/g, '');
+        compact += normalized;
+        for (let j = 0; j < normalized.length; j++) positions.push(i);
+    }
+    return { source: source, text: compact, positions: positions };
+}
+
+/**
+ * 讀取 JSON 格式的指令碼屬性 (RAG.js 維護的對照表)
+ *
+ * @param {string} key - 屬性名稱
+ * @returns {Object}
+ */
+function readRagJsonProperty(key) {
+    try {
+        return JSON.parse(PROPS.getProperty(key) || '{}') || {};
+    } catch (e) {
+        return {};
+    }
+}
+
+// ==================== 測試函式 ====================
+
+/**
+ * 測試引用整理 (在 GAS 編輯器中手動執行)
+ */
+function testRagCitations() {
+    const candidate = {
+        groundingMetadata: {
+            groundingChunks: [
+                { retrievedContext: { title: '國泰CUBE權益.pdf', text: '國泰世華 CUBE 卡 切換「玩數位」權益，於 PChome、momo 等網購通路享 3% 小樹點回饋。' } },
+                { retrievedContext: { title: '玉山 U Bear 2025.pdf', text: '玉山 U Bear 信用卡 網路消費 3% 回饋，每期上限 200 元。' } }
+            ]
+        }
+    };
+
+    const citations = extractRagCitations(candidate);
+    console.log(JSON.stringify(citations, null, 2));
+    console.log(formatCitationText(citations));
+    console.log(JSON.stringify(attachRecommendationCitations({
+        user_best: { card_name: 'CUBE卡', reward_rate: '3%' },
+        user_second: { card_name: 'U Bear信用卡', reward_rate: '3%' }
+    }, citations), null, 2));
+}
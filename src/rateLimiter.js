@@ -229,12 +229,20 @@ function testRateLimiter() {
     console.log(`\n目前狀態: used=${status.used}/${status.limit}, resetIn=${status.resetInMinutes}min`);
 }
 
+/**
+ * 清除指定用戶的使用紀錄（封鎖機器人、客服重置時使用）
+ *
+ * @param {string} userId - LINE User ID
+ */
+function clearRateLimit(userId) {
+    CacheService.getScriptCache().remove(`rate_limit_${userId}`);
+}
+
 /**
  * 清除測試用戶的限制（除錯用）
  */
 function clearTestUserLimit() {
-    const cache = CacheService.getScriptCache();
-    cache.remove('rate_limit_U_TEST_USER_123');
+    clearRateLimit('U_TEST_USER_123');
     console.log('已清除測試用戶的限制');
 }
 
@@ -242,6 +250,7 @@ function clearTestUserLimit() {
  * 手動將用戶加入 VIP
  * 
  * @param {string} userId - 要加入 VIP 的 LINE User ID
+ * @returns {boolean} true = 新加入，false = 原本就是 VIP
  */
 function addVipUser(userId) {
     const currentList = PROPS.getProperty('VIP_USER_LIST') || '';
@@ -251,15 +260,20 @@ function addVipUser(userId) {
         vips.push(userId);
         PROPS.setProperty('VIP_USER_LIST', vips.join(','));
         console.log(`✅ 已將 ${userId} 加入 VIP 名單`);
+        return true;
     } else {
         console.log(`⚠️ ${userId} 已經是 VIP`);
+        return false;
     }
 }
 
 /**
  * 查看目前的 VIP 名單
+ *
+ * @returns {string[]} VIP 的 LINE User ID 清單
  */
 function listVipUsers() {
     const currentList = PROPS.getProperty('VIP_USER_LIST') || '';
     console.log('目前 VIP 名單:', currentList || '(空)');
+    return currentList ? currentList.split(',').map(id => id.trim()) : [];
 }
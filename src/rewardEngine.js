@@ -0,0 +1,412 @@
+/**
+ * 回饋規則引擎 (Reward Engine)
+ *
+ * Gemini 回傳的 reward_rate / reward_amount 可能算錯 (上限忘了扣、權益方案選錯...)。
+ * 這裡用人工整理的卡片回饋規則，依 queryParser.js 解析出的「商家 / 類別 / 金額 / 支付方式」
+ * 重新試算用戶每張卡的回饋，在回覆 LINE 之前：
+ * 1. 校正 AI 寫錯的回饋率與回饋金額
+ * 2. 依試算結果重新排序 user_best / user_second
+ * 3. 產生校正說明，附加在回覆文字後面
+ *
+ * 每張卡會分別試算「直接刷卡」以及「透過 payMap 綁定的行動支付付款」(例如 LINE Pay 綁 CUBE)，
+ * 取回饋最高的付款方式，結果放在推薦卡片的 channel 欄位 (直接刷卡為 null)
+ *
+ * 規則表沒有收錄的卡片維持 AI 的答案 (verified: false)，只有收錄的卡片會被校正。
+ * 回饋條件常常變動，CARD_REWARD_RULES 請定期對照各銀行官網更新
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+/**
+ * 卡片回饋規則
+ * - aliases：比對卡名用 (小寫、去空白、去「信用卡/卡」後的片段)
+ * - baseRate：一般消費回饋 (%)
+ * - rules：加碼條件，符合任一條件即可套用，取回饋最高的一條
+ *   - merchants / categories / channels：商家、類別、支付方式 (對應 queryParser.js 的標準名稱)
+ *   - rate：回饋率 (%)
+ *   - cap：每期回饋上限 (新台幣，選填)；period：上限計算週期 (month)
+ *   - plan：需要切換的權益方案 (選填)
+ *   - minAmount：單筆最低消費 (選填)；validUntil：活動截止日 yyyy-MM-dd (選填)
+ *   - register：需要先登錄活動 (選填，「無腦刷」的用戶不採用)
+ */
+const CARD_REWARD_RULES = [
+    {
+        name: 'CUBE卡', bank: '國泰世華', aliases: ['cube'],
+        baseRate: 0.3,
+        rules: [
+            { plan: '玩數位', categories: ['網購', '海外網購', '數位訂閱'], rate: 3 },
+            { plan: '樂饗購', categories: ['餐廳', '外送', '百貨'], rate: 3 },
+            { plan: '趣旅行', categories: ['海外消費', '交通'], rate: 3 },
+            { plan: '集精選', categories: ['超商', '量販超市', '加油'], rate: 2 }
+        ]
+    },
+    {
+        name: '@GoGo卡', bank: '台新', aliases: ['gogo'],
+        baseRate: 0.5,
+        rules: [
+            { categories: ['網購', '外送', '數位訂閱'], rate: 3.8, cap: 300, period: 'month' },
+            { channels: ['全支付', '街口支付', '悠遊付'], rate: 3.8, cap: 300, period: 'month' }
+        ]
+    },
+    {
+        name: 'U Bear信用卡', bank: '玉山', aliases: ['ubear'],
+        baseRate: 1,
+        rules: [
+            { categories: ['網購', '海外網購'], rate: 3, cap: 200, period: 'month' },
+            { categories: ['數位訂閱'], rate: 10, cap: 50, period: 'month' }
+        ]
+    },
+    {
+        name: '熊本熊卡', bank: '玉山', aliases: ['熊本熊'],
+        baseRate: 0.5,
+        rules: [
+            { categories: ['海外消費'], rate: 2.5 }
+        ]
+    },
+    {
+        name: 'momo卡', bank: '富邦', aliases: ['momo'],
+        baseRate: 1,
+        rules: [
+            { merchants: ['momo'], rate: 3 }
+        ]
+    },
+    {
+        name: 'LINE Pay信用卡', bank: '中國信託', aliases: ['linepay'],
+        baseRate: 1,
+        rules: [
+            { categories: ['海外消費'], rate: 2.8 }
+        ]
+    }
+];
+
+const REWARD_AMOUNT_TOLERANCE = 1;   // 金額誤差容忍 (元)
+const REWARD_RATE_TOLERANCE = 0.05;  // 回饋率誤差容忍 (%)
+
+// ==================== 核心函式 ====================
+
+/**
+ * 以規則試算校正 AI 的推薦結果
+ *
+ * @param {Object} recommendations - AI 回傳的 { user_best, user_second, global_best }
+ * @param {Object} context - 試算需要的資料
+ * @param {Array} context.myWallet - 用戶持有的卡片
+ * @param {Object} context.payMap - 行動支付綁定 { 支付方式: [卡名] }
+ * @param {Object} context.parsedQuery - queryParser.js 的解析結果
+ * @param {Object} context.rightsSwitches - 用戶目前的權益方案 { 卡名: 方案 }
+ * @param {Array} context.mainCards - 用戶的主力卡片 (回饋相同時優先)
+ * @param {Array} context.cardHabits - 用戶的用卡習慣 (userProfile.js)；「無腦刷」只試算不用切換權益、不用登錄的回饋，且不補次選
+ * @returns {Object} { recommendations, corrections }
+ *   - recommendations: 校正後的推薦 (每張卡多了 verified 欄位)
+ *   - corrections: string[] - 校正說明 (沒有校正時為空陣列)
+ */
+function verifyRecommendations(recommendations, context) {
+    let parsed = context.parsedQuery;
+    const corrections = [];
+
+    // 連消費場景都不知道，無從試算
+    if (!recommendations || !parsed || (!parsed.merchant && !parsed.category && !parsed.channel)) {
+        return { recommendations: recommendations, corrections: corrections };
+    }
+
+    // 金額是猜的 (沒有 $/元，例如「加油1500」)：只校正回饋率，不拿猜的金額去改 AI 算的回饋金額與排名
+    if (parsed.amount && !parsed.amountExplicit) {
+        parsed = Object.assign({}, parsed, { amount: null });
+    }
+
+    const result = Object.assign({}, recommendations);
+    const switches = context.rightsSwitches || {};
+    const simpleOnly = (context.cardHabits || []).includes('無腦刷');
+
+    // 1. 用戶的卡：收錄在規則表的重新試算 (每種付款方式取最高)，AI 選的未收錄卡片保留原答案
+    const candidates = [];
+    (context.myWallet || [])
+        .map(card => typeof card === 'string' ? card : card.name)
+        .filter(Boolean)
+        .forEach(name => {
+            const rule = findCardRule(name);
+            if (!rule) return;
+
+            const options = getPaymentOptions(name, parsed, context.payMap)
+                .map(channel => buildVerifiedCard(rule, name, Object.assign({}, parsed, { channel: channel }), switches, recommendations, simpleOnly));
+            if (options.length === 0) return; // 用戶指定的支付方式沒有綁這張卡
+
+            // 回饋相同時優先直接刷卡 (options 第一個就是直接刷卡)
+            candidates.push(options.reduce((best, option) => rewardScore(option, parsed) > rewardScore(best, parsed) ? option : best));
+        });
+
+    ['user_best', 'user_second'].forEach(slot => {
+        const original = recommendations[slot];
+        if (original && original.card_name && !findCardRule(original.card_name)
+            && !(simpleOnly && original.rights_switch)
+            && !candidates.some(c => c.card_name === original.card_name)) {
+            candidates.push(Object.assign({}, original, { verified: false }));
+        }
+    });
+
+    if (candidates.length > 0) {
+        const mainCards = context.mainCards || [];
+        const isMainCard = (rec) => mainCards.some(name => isSameCard(rec, { card_name: name })) ? 1 : 0;
+        candidates.sort((a, b) => (rewardScore(b, parsed) - rewardScore(a, parsed)) || (isMainCard(b) - isMainCard(a)));
+
+        ['user_best', 'user_second'].forEach((slot, index) => {
+            const original = recommendations[slot];
+            const verified = candidates[index];
+            if (!verified) return;
+
+            // 無腦刷只推薦一張，不從候選名單補次選
+            if (simpleOnly && slot === 'user_second') {
+                result.user_second = null;
+                return;
+            }
+
+            if (original && original.card_name && !isSameCard(original, verified)) {
+                corrections.push(`${slot === 'user_best' ? '首選' : '次選'}改為 ${verified.card_name} (${verified.reward_rate})`);
+            } else if (original) {
+                describeRewardDiff(original, verified, parsed.channel).forEach(diff => corrections.push(diff));
+            }
+            result[slot] = verified;
+        });
+    }
+
+    // 2. 全域推薦：只校正數字，不更換卡片
+    const globalBest = recommendations.global_best;
+    const globalRule = globalBest && globalBest.card_name ? findCardRule(globalBest.card_name) : null;
+    if (globalRule) {
+        const globalParsed = Object.assign({}, parsed, { channel: parsed.channel || globalBest.channel || null });
+        const verified = buildVerifiedCard(globalRule, globalBest.card_name, globalParsed, {}, recommendations);
+        describeRewardDiff(globalBest, verified, parsed.channel).forEach(diff => corrections.push(diff));
+        result.global_best = verified;
+    }
+
+    if (corrections.length > 0) {
+        console.log(`🔧 [RewardEngine] 校正 AI 推薦：${corrections.join(' / ')}`);
+    }
+    return { recommendations: result, corrections: corrections };
+}
+
+/**
+ * 試算單張卡片在這次消費的回饋
+ *
+ * @param {Object} card - CARD_REWARD_RULES 的其中一項
+ * @param {Object} parsed - queryParser.js 的解析結果
+ * @param {string} currentPlan - 用戶目前的權益方案 (不知道時為 undefined)
+ * @param {boolean} simpleOnly - 只採用不用切換權益、不用登錄的規則 (無腦刷)
+ * @returns {Object} { rate, amount, plan, capped, rule }
+ */
+function evaluateCardReward(card, parsed, currentPlan, simpleOnly = false) {
+    const today = Utilities.formatDate(new Date(), 'Asia/Taipei', 'yyyy-MM-dd');
+    let best = { rate: card.baseRate, plan: null, cap: null, rule: null };
+
+    card.rules.forEach(rule => {
+        if (rule.validUntil && rule.validUntil < today) return;
+        if (rule.minAmount && parsed.amount && parsed.amount < rule.minAmount) return;
+        if (simpleOnly && (rule.register || (rule.plan && rule.plan !== currentPlan))) return;
+
+        const matched = (rule.merchants || []).includes(parsed.merchant)
+            || (rule.categories || []).includes(parsed.category)
+            || (rule.channels || []).includes(parsed.channel);
+        if (!matched) return;
+
+        // 有上限時，以實際可拿到的金額比較 (例如 10% 上限 $50 不一定贏過 3% 無上限)
+        const candidate = { rate: rule.rate, plan: rule.plan || null, cap: rule.cap || null, rule: rule };
+        if (rewardValue(candidate, parsed.amount) > rewardValue(best, parsed.amount)
+            || (rewardValue(candidate, parsed.amount) === rewardValue(best, parsed.amount) && rule.plan && rule.plan === currentPlan)) {
+            best = candidate;
+        }
+    });
+
+    const rawAmount = parsed.amount ? parsed.amount * best.rate / 100 : null;
+    const amount = rawAmount === null ? null : Math.floor(best.cap ? Math.min(rawAmount, best.cap) : rawAmount);
+
+    return {
+        rate: best.rate,
+        amount: amount,
+        plan: best.plan,
+        capped: rawAmount !== null && !!best.cap && rawAmount > best.cap,
+        rule: best.rule
+    };
+}
+
+/**
+ * 列出這張卡可以用的付款方式 (null = 直接刷卡)
+ * - 用戶有指定支付方式 (「用 LINE Pay 付」)：只看那一種；若 payMap 有設定該支付方式但沒綁這張卡，就不能用
+ * - 沒有指定：直接刷卡 + payMap 中綁了這張卡的所有支付方式
+ *
+ * @param {string} cardName - 錢包中的卡名
+ * @param {Object} parsed - 解析結果
+ * @param {Object} payMap - { 支付方式: [卡名] }
+ * @returns {Array} 付款方式清單
+ */
+function getPaymentOptions(cardName, parsed, payMap) {
+    const bindings = payMap || {};
+    const bound = Object.keys(bindings).filter(channel => (bindings[channel] || []).includes(cardName));
+
+    if (parsed.channel) {
+        const configured = (bindings[parsed.channel] || []).length > 0;
+        return !configured || bound.includes(parsed.channel) ? [parsed.channel] : [];
+    }
+    return [null].concat(bound);
+}
+
+// ==================== 內部工具 ====================
+
+/**
+ * 產生校正後的推薦卡片 (數字與 AI 一致時才沿用 AI 對同一張卡寫的理由)
+ *
+ * @param {Object} card - CARD_REWARD_RULES 的其中一項
+ * @param {string} displayName - 顯示的卡名 (用戶錢包或 AI 的寫法)
+ * @param {Object} parsed - 解析結果
+ * @param {Object} switches - 用戶目前的權益方案
+ * @param {Object} recommendations - AI 原本的推薦 (找理由用)
+ * @param {boolean} simpleOnly - 只採用不用切換權益、不用登錄的規則 (無腦刷)
+ * @returns {Object} 推薦卡片
+ */
+function buildVerifiedCard(card, displayName, parsed, switches, recommendations, simpleOnly = false) {
+    const currentPlan = findSwitchedPlan(card, switches);
+    const reward = evaluateCardReward(card, parsed, currentPlan, simpleOnly);
+
+    const original = ['user_best', 'user_second', 'global_best']
+        .map(slot => recommendations[slot])
+        .find(rec => rec && rec.card_name && findCardRule(rec.card_name) === card);
+
+    const verified = {
+        card_name: original ? original.card_name : displayName,
+        reward_rate: `${reward.rate}%`,
+        reward_amount: reward.amount === null ? null : String(reward.amount),
+        rights_switch: reward.plan && reward.plan !== currentPlan ? reward.plan : null,
+        channel: parsed.channel || null,
+        reason: null,
+        verified: true
+    };
+
+    // 回饋率、金額、付款方式、權益切換都跟 AI 一樣才沿用 AI 的理由 (否則理由裡的數字會跟卡片對不上)
+    const unchanged = original
+        && describeRewardDiff(original, verified, parsed.channel).length === 0
+        && (original.channel || null) === verified.channel
+        && (original.rights_switch || null) === verified.rights_switch;
+
+    // 試算不出金額 (沒有可信的消費金額) 時，回饋率一致就沿用 AI 算的金額
+    if (unchanged && verified.reward_amount === null && original.reward_amount) {
+        verified.reward_amount = String(original.reward_amount);
+    }
+
+    let reason = unchanged && original.reason;
+    if (!reason) {
+        reason = `${reward.plan ? reward.plan + ' ' : ''}${reward.rule ? '加碼' : '一般消費'} ${reward.rate}%`;
+    }
+    if (reward.capped) {
+        reason += ` (已達回饋上限 $${reward.rule.cap})`;
+    }
+    verified.reason = reason;
+    return verified;
+}
+
+/**
+ * 比較 AI 與試算的數字，列出不一致的地方
+ *
+ * @param {Object} original - AI 的推薦卡片
+ * @param {Object} verified - 試算後的推薦卡片
+ * @param {string} userChannel - 用戶自己指定的支付方式 (已經知道，不必再提醒)
+ * @returns {string[]} 校正說明
+ */
+function describeRewardDiff(original, verified, userChannel) {
+    const diffs = [];
+    const originalRate = parseFloat(original.reward_rate);
+    const verifiedRate = parseFloat(verified.reward_rate);
+    if (isNaN(originalRate) || Math.abs(originalRate - verifiedRate) > REWARD_RATE_TOLERANCE) {
+        diffs.push(`${verified.card_name} 回饋率 ${original.reward_rate || '?'} → ${verified.reward_rate}`);
+    }
+
+    if (verified.reward_amount !== null) {
+        const originalAmount = parseFloat(String(original.reward_amount).replace(/[$,]/g, ''));
+        if (isNaN(originalAmount) || Math.abs(originalAmount - Number(verified.reward_amount)) > REWARD_AMOUNT_TOLERANCE) {
+            diffs.push(`${verified.card_name} 回饋金額 $${original.reward_amount || '?'} → $${verified.reward_amount}`);
+        }
+    }
+
+    if ((original.channel || null) !== verified.channel && verified.channel !== userChannel) {
+        diffs.push(`${verified.card_name} 改為${verified.channel ? `透過 ${verified.channel} 付款` : '直接刷卡'}`);
+    }
+    return diffs;
+}
+
+/**
+ * 排序用分數：有消費金額時一律比回饋金額，沒有消費金額才比回饋率
+ * 卡片沒有 reward_amount (例如 AI 推薦的未收錄卡片) 時用「消費金額 × 回饋率」換算，避免拿 % 跟金額比
+ *
+ * @param {Object} rec - 推薦卡片
+ * @param {Object} parsed - 解析結果
+ * @returns {number}
+ */
+function rewardScore(rec, parsed) {
+    const rate = parseFloat(rec.reward_rate) || 0;
+    if (!parsed.amount) return rate;
+
+    const amount = parseFloat(String(rec.reward_amount).replace(/[$,]/g, ''));
+    return isNaN(amount) ? parsed.amount * rate / 100 : amount;
+}
+
+/**
+ * 規則的實際回饋 (有金額時扣掉上限)
+ *
+ * @param {Object} reward - { rate, cap }
+ * @param {number|null} amount - 消費金額
+ * @returns {number}
+ */
+function rewardValue(reward, amount) {
+    if (!amount) return reward.rate;
+    const value = amount * reward.rate / 100;
+    return reward.cap ? Math.min(value, reward.cap) : value;
+}
+
+/**
+ * 依卡名找出規則 (AI 可能寫「國泰 CUBE」、錢包可能是「CUBE卡」)
+ *
+ * @param {string} cardName - 卡名
+ * @returns {Object|null} CARD_REWARD_RULES 的其中一項
+ */
+function findCardRule(cardName) {
+    const key = normalizeCardName(cardName);
+    return CARD_REWARD_RULES.find(card => card.aliases.some(alias => key.indexOf(alias) !== -1)) || null;
+}
+
+/**
+ * 判斷兩個推薦是否為同一張卡 (收錄的卡片比對規則，未收錄的比對卡名)
+ *
+ * @param {Object} a - 推薦卡片
+ * @param {Object} b - 推薦卡片
+ * @returns {boolean}
+ */
+function isSameCard(a, b) {
+    const ruleA = findCardRule(a.card_name);
+    return ruleA ? ruleA === findCardRule(b.card_name) : a.card_name === b.card_name;
+}
+
+/**
+ * 找出用戶回報過的權益方案 (rights_switch 快取的 key 是當時 AI 寫的卡名)
+ *
+ * @param {Object} card - CARD_REWARD_RULES 的其中一項
+ * @param {Object} switches - { 卡名: 方案 }
+ * @returns {string|undefined} 方案名稱
+ */
+function findSwitchedPlan(card, switches) {
+    const key = Object.keys(switches).find(name => findCardRule(name) === card);
+    return key ? switches[key] : undefined;
+}
+
+/**
+ * 卡名正規化：小寫、去空白與符號、去掉結尾的「信用卡 / 卡」
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeCardName(name) {
+    return String(name || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[\s@_\-.]/g, '')
+        .replace(/(信用卡|卡)$/, '');
+}
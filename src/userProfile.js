@@ -0,0 +1,103 @@
+/**
+ * 用戶偏好模組 (User Profile)
+ *
+ * LIFF 設定頁收集的 profile (主力卡片、用卡習慣、生日月份、痛點) 轉成給 AI 的個人化提醒：
+ * - 無腦刷：只推薦一張不用切換權益、不用登錄的卡 (rewardEngine.js 校正時也會遵守，不會補上次選)
+ * - 搶優惠 / 配合銀行：可以推薦需要切換權益或登錄活動的卡
+ * - 主力卡片：回饋相同時優先推薦 (rewardEngine.js 排序時也會參考)
+ * - 生日月份：本月生日時主動提醒生日優惠
+ * - 痛點提到「上限」：每張卡都要提醒回饋上限
+ *
+ * 問卷欄位 (gender / wantedFeatures / supportPrice) 與推薦無關，不放進 Prompt
+ * 主力卡片、用卡習慣、痛點是用戶自己填的文字，放進 Prompt 前會壓成一行並跳脫 (promptGuard.js)
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+// ==================== 設定區 ====================
+
+// 痛點關鍵字 → 給 AI 的提醒
+const PAIN_POINT_HINTS = [
+    { pattern: /上限|額度|超過/, hint: '用戶常忘記回饋上限：每張推薦卡都要寫出回饋上限與計算週期，超過上限要提醒改刷哪張。' },
+    { pattern: /切換|權益|方案/, hint: '用戶常忘記切換權益：需要切換時把 ⚠️ 提醒放在最前面。' },
+    { pattern: /登錄|報名/, hint: '用戶常忘記活動登錄：需要登錄的優惠要特別提醒。' },
+    { pattern: /複雜|記不住|太多|麻煩/, hint: '用戶覺得回饋太複雜：reply_text 用最少的字說明，避免列出細節條件。' }
+];
+
+const PAIN_POINT_MAX_LENGTH = 100; // 痛點原文最多放進 Prompt 的字數
+
+// ==================== 核心函式 ====================
+
+/**
+ * 將 profile 轉成 Prompt 中的用戶背景與個人化提醒
+ *
+ * @param {Object} profile - LIFF 儲存的 profile
+ * @returns {string} 要附加在 userContext 後面的文字 (沒有可用資訊時為空字串)
+ */
+function buildProfileContext(profile) {
+    if (!profile) return '';
+
+    const facts = [];
+    const hints = [];
+    const habits = (profile.cardHabits || []).filter(Boolean);
+    const mainCards = (profile.mainCards || []).filter(Boolean);
+    const sanitizeList = (items) => items.map(item => sanitizeProfileText(item, PAIN_POINT_MAX_LENGTH));
+
+    if (mainCards.length > 0) {
+        facts.push(`- 主力卡片：${sanitizeList(mainCards).join('、')}`);
+        hints.push('回饋相同或差距很小 (0.5% 以內) 時，優先推薦主力卡片。');
+    }
+
+    if (habits.length > 0) {
+        facts.push(`- 用卡習慣：${sanitizeList(habits).join('、')}`);
+    }
+    if (habits.includes('無腦刷')) {
+        hints.push('用戶偏好「無腦刷」：只推薦一張不需要切換權益、不需要登錄的卡，reply_text 只講這一張，user_second 可為 null。');
+    } else if (habits.includes('搶優惠') || habits.includes('配合銀行')) {
+        hints.push('用戶願意配合銀行活動：可以推薦需要切換權益或登錄的高回饋方案，並說明怎麼做。');
+    }
+
+    const birthMonth = parseInt(profile.birthMonth, 10);
+    if (birthMonth >= 1 && birthMonth <= 12) {
+        const currentMonth = parseInt(Utilities.formatDate(new Date(), 'Asia/Taipei', 'M'), 10);
+        if (birthMonth === currentMonth) {
+            facts.push(`- 生日月份：${birthMonth} 月 (就是本月！)`);
+            hints.push('本月是用戶的生日月：若推薦的卡或商家有生日月優惠，請主動提醒。');
+        } else {
+            facts.push(`- 生日月份：${birthMonth} 月`);
+        }
+    }
+
+    const painPoints = String(profile.painPoints || '').trim();
+    if (painPoints) {
+        facts.push(`- 用卡痛點：${sanitizeProfileText(painPoints, PAIN_POINT_MAX_LENGTH)}`);
+        PAIN_POINT_HINTS.forEach(p => {
+            if (p.pattern.test(painPoints)) hints.push(p.hint);
+        });
+    }
+
+    if (facts.length === 0) return '';
+
+    let text = `\n【用戶偏好】：\n${facts.join('\n')}\n`;
+    if (hints.length > 0) {
+        text += `\n【個人化提醒】：\n${hints.map(h => `- ${h}`).join('\n')}\n`;
+    }
+    return text;
+}
+
+// ==================== 內部工具 ====================
+
+/**
+ * 用戶填寫的文字放進 Prompt 前的處理
+ * - 換行壓成空白、【】換成「」：無法偽造新的一行或系統段落 (「\n【系統】...」)
+ * - escapeUserText 跳脫 < > 與控制字元 (promptGuard.js)
+ *
+ * @param {string} text - 用戶填寫的文字
+ * @param {number} maxLength - 字數上限
+ * @returns {string}
+ */
+function sanitizeProfileText(text, maxLength) {
+    const flat = String(text || '').replace(/\s+/g, ' ').replace(/【/g, '「').replace(/】/g, '」').trim().substring(0, maxLength);
+    return typeof escapeUserText === 'function' ? escapeUserText(flat) : flat;
+}
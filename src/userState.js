@@ -0,0 +1,43 @@
+/**
+ * 用戶對話狀態模組 (User State)
+ *
+ * 記錄「這位用戶的下一則訊息要怎麼處理」，例如輸入「意見回饋」後，
+ * 下一則訊息要存成回饋，而不是丟給 AI。
+ * 狀態存在 CacheService，逾時自動清除，不佔用 Supabase 配額
+ *
+ * 目前使用的狀態：
+ * - awaiting_feedback：等待用戶輸入回饋內容 (feedback.js)
+ *
+ * @author CardWay Team
+ * @version 1.0.0
+ */
+
+/**
+ * 設定用戶狀態
+ *
+ * @param {string} userId - LINE User ID
+ * @param {string} state - 狀態名稱
+ * @param {number} ttlSeconds - 幾秒後自動失效
+ */
+function setUserState(userId, state, ttlSeconds) {
+    CacheService.getScriptCache().put(`user_state_${userId}`, state, ttlSeconds);
+}
+
+/**
+ * 取得用戶目前的狀態
+ *
+ * @param {string} userId - LINE User ID
+ * @returns {string|null} 狀態名稱，沒有或已逾時回傳 null
+ */
+function getUserState(userId) {
+    return CacheService.getScriptCache().get(`user_state_${userId}`);
+}
+
+/**
+ * 清除用戶狀態
+ *
+ * @param {string} userId - LINE User ID
+ */
+function clearUserState(userId) {
+    CacheService.getScriptCache().remove(`user_state_${userId}`);
+}